@@ -122,6 +122,21 @@ function updateSidebarSelection(categoryId, wasAlreadySelected) {
   }
 }
 
+// Set the title of the selected category, with its lifecycle status badge if it has one
+function setCategoryTitle(category) {
+  const titleEl = document.getElementById('categoryTitle');
+  titleEl.textContent = category.name;
+
+  const badge = category.lifecycleBadge;
+  if (badge) {
+    const badgeEl = document.createElement('span');
+    badgeEl.className = `category-status status-${badge.status}`;
+    badgeEl.textContent = badge.label;
+    if (badge.title) badgeEl.title = badge.title;
+    titleEl.appendChild(badgeEl);
+  }
+}
+
 function toggleLatestOnly(checked) {
   showLoading();
   setTimeout(() => {
@@ -371,6 +386,7 @@ function updateListedCount() {
   }
 
   const existing = footer.dataset.existing;
+  const origin = footer.dataset.origin || 'the repository';
   const allListed = count === existing;
 
   const countEl = footer.querySelector('.listed-count');
@@ -383,8 +399,8 @@ function updateListedCount() {
   const infoIcon = footer.querySelector('.info-icon');
   if (infoIcon) {
     infoIcon.title = allListed
-      ? `${existing} releases exist in the repository, all are listed on this site`
-      : `${existing} releases exist in the repository, ${count} listed on this site`;
+      ? `${existing} releases exist in ${origin}, all are listed on this site`
+      : `${existing} releases exist in ${origin}, ${count} listed on this site`;
   }
 }
 
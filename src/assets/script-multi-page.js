@@ -258,7 +258,7 @@ async function doSelectCategory(categoryId, page = 1) {
       currentCategoryId = categoryId;
       currentPage = 1;
 
-      document.getElementById('categoryTitle').textContent = category.name;
+      setCategoryTitle(category);
 
       const descriptionEl = document.getElementById('categoryDescription');
       const descriptionHtml = categoryDescriptionsHtml[categoryId];
@@ -285,7 +285,7 @@ async function doSelectCategory(categoryId, page = 1) {
       updateSidebarSelection(categoryId, wasAlreadySelected);
       currentCategoryId = categoryId;
 
-      document.getElementById('categoryTitle').textContent = category.name;
+      setCategoryTitle(category);
 
       const descriptionEl = document.getElementById('categoryDescription');
       const descriptionHtml = categoryDescriptionsHtml[categoryId];
@@ -416,7 +416,7 @@ async function doSelectCategory(categoryId, page = 1) {
 
     // Update title
     if (category) {
-      document.getElementById('categoryTitle').textContent = category.name;
+      setCategoryTitle(category);
     }
 
     // Update description (only on page 1)
@@ -78,7 +78,7 @@ function doSelectCategory(categoryId, html) {
   // Update title
   const category = categoryData[categoryId];
   if (category) {
-    document.getElementById('categoryTitle').textContent = category.name;
+    setCategoryTitle(category);
   }
 
   // Update description
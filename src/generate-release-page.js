@@ -1,12 +1,16 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const yaml = require('js-yaml');
 
-const { CONFIG, isUrl, fetchUrl } = require('./lib/config');
+const { CONFIG, isUrl, fetchUrl, readConfigFile } = require('./lib/config');
 const { fetchAllReleases } = require('./lib/github-api');
-const { classifyReleases } = require('./lib/tree-builder');
-const { matchesFilter } = require('./lib/matcher');
+const { normalizeSources, fetchReleasesFromSources } = require('./lib/sources');
+const { loadYamlWithLocations, validateConfig, formatConfigIssue } = require('./lib/config-schema');
+const { logRateLimitStatus } = require('./lib/http');
+const { classifyReleases, sortReleases } = require('./lib/tree-builder');
+const { passesGlobalFilters, resolveMatcherReferences } = require('./lib/matcher');
+const { collectFeeds, writeFeeds } = require('./lib/feeds');
+const { writeJsonApi } = require('./lib/json-api');
 const {
   generateFullHtml,
   generateMultiPageIndex,
@@ -31,10 +35,13 @@ function stripHiddenContent(releases, hideTag) {
   // Match <tag>...</tag> including multiline content (non-greedy)
   const regex = new RegExp(`<${escapedTag}>[\\s\\S]*?</${escapedTag}>`, 'gi');
 
-  return releases.map(release => ({
-    ...release,
-    body: release.body ? release.body.replace(regex, '') : release.body
-  }));
+  return releases.map(release => {
+    const body = release.body ? release.body.replace(regex, '') : release.body;
+    if (body === release.body) return release;
+    // Server-rendered body (GraphQL backend) still contains the hidden content, discard it
+    const { bodyHtml, ...rest } = release;
+    return { ...rest, body };
+  });
 }
 
 // ============================================================================
@@ -73,22 +80,40 @@ async function generateMultiPageSite(outputDir, tree, unmatchedReleases, config,
 async function loadConfig() {
   console.log(`Loading configuration from ${CONFIG.configPath}...`);
 
-  let configContent;
-  let configDir;
+  // For remote configs, configDir is the URL the relative paths (MAIN.md etc.) are resolved from
+  const { content: configContent, configDir } = await readConfigFile(CONFIG.configPath);
 
-  if (isUrl(CONFIG.configPath)) {
-    configContent = await fetchUrl(CONFIG.configPath);
-    // For remote configs, derive MAIN.md URL from config URL
-    configDir = CONFIG.configPath.substring(0, CONFIG.configPath.lastIndexOf('/'));
-  } else {
-    if (!fs.existsSync(CONFIG.configPath)) {
-      throw new Error(`Configuration file not found: ${CONFIG.configPath}`);
+  const { data: parsedConfig, locations } = loadYamlWithLocations(configContent);
+
+  // Validate the configuration against the schema
+  const issues = validateConfig(parsedConfig, locations);
+  if (issues.length > 0) {
+    const fileName = isUrl(CONFIG.configPath) ? CONFIG.configPath : path.basename(CONFIG.configPath);
+    const log = CONFIG.lenientConfig ? console.warn : console.error;
+    log(`${CONFIG.lenientConfig ? 'Warning' : 'Error'}: ${issues.length} problem(s) found in the configuration file:`);
+    for (const issue of issues) {
+      log(`  ${formatConfigIssue(issue, fileName)}`);
+    }
+    if (!CONFIG.lenientConfig) {
+      throw new Error('Invalid configuration file (use --lenient-config to generate the site anyway)');
     }
-    configContent = fs.readFileSync(CONFIG.configPath, 'utf8');
-    configDir = path.dirname(CONFIG.configPath);
   }
 
-  const config = yaml.load(configContent);
+  // Replace the "use" references to named matchers with the matchers themselves
+  const config = resolveMatcherReferences(parsedConfig);
+
+  // Handle release sources (multiple repositories and/or releases files)
+  if (config.sources) {
+    CONFIG.sources = normalizeSources(config.sources, configDir);
+    if (CONFIG.repo || CONFIG.releasesFile || CONFIG.releasesDir) {
+      console.log('Note: "sources" in the config file takes priority over --repo/--releases-file/--releases-dir');
+    }
+    // Single-repository features (header link, autolinks fallback) only make sense with one repository
+    const single = CONFIG.sources.length === 1 ? CONFIG.sources[0] : null;
+    CONFIG.repo = single && ['github', 'file', 'dir', 'tags'].includes(single.type) ? single.repo : null;
+    CONFIG.multipleSources = CONFIG.sources.length > 1;
+    console.log(`Using ${CONFIG.sources.length} release source(s): ${CONFIG.sources.map(s => s.repo || s.project || s.file).join(', ')}`);
+  }
 
   // Handle main-page configuration
   const mainPageConfig = config.site && config.site['main-page'];
@@ -137,6 +162,18 @@ async function loadConfig() {
     console.log(`Multi-page mode enabled, page size: ${CONFIG.multiPage.pageSize || 'unlimited'}`);
   }
 
+  // Handle feeds configuration
+  const feedsConfig = config.feeds || {};
+  CONFIG.feeds = {
+    enabled: feedsConfig.enable === true,
+    formats: feedsConfig.formats || ['atom', 'rss'],
+    maxItems: feedsConfig['max-items'] === false ? null : (feedsConfig['max-items'] || 20),
+    siteUrl: feedsConfig['site-url'] ? feedsConfig['site-url'].replace(/\/+$/, '') : null
+  };
+  if (CONFIG.feeds.enabled) {
+    console.log(`Feeds enabled: ${CONFIG.feeds.formats.join(', ')}, ${CONFIG.feeds.maxItems || 'all'} release(s) per feed`);
+  }
+
   // Handle favicon
   if (config.site && config.site.favicon) {
     const favicon = config.site.favicon;
@@ -169,6 +206,23 @@ async function loadConfig() {
 }
 
 async function main() {
+  // If --validate is used, just check the config (and releases) files and print a report, then exit
+  if (CONFIG.validate) {
+    const { runValidation, formatValidationReport } = require('./lib/validate');
+    console.log(`Validating ${CONFIG.configPath}...`);
+    const report = await runValidation();
+    console.log('');
+    console.log(formatValidationReport(report));
+    if (CONFIG.validateReportFile) {
+      fs.writeFileSync(CONFIG.validateReportFile, JSON.stringify(report, null, 2));
+      console.log(`Report saved to ${CONFIG.validateReportFile}`);
+    }
+    if (!report.valid) {
+      process.exit(1);
+    }
+    return;
+  }
+
   // If --save-releases is used, just fetch and save releases, then exit
   if (CONFIG.saveReleasesFile) {
     if (!CONFIG.repo) {
@@ -178,12 +232,17 @@ async function main() {
     const { fetchReleasesFromApi, saveReleasesToFile } = require('./lib/github-api');
     const releaseData = await fetchReleasesFromApi(false); // Fetch all (false = unlimited)
     saveReleasesToFile(releaseData, CONFIG.saveReleasesFile);
+    logRateLimitStatus();
     console.log(`Done! Saved ${releaseData.releases.length} releases to ${CONFIG.saveReleasesFile}`);
     return;
   }
 
   const config = await loadConfig();
 
+  if (!CONFIG.sources && !CONFIG.repo && !CONFIG.releasesFile && !CONFIG.releasesDir) {
+    throw new Error('One of --repo, --releases-file or --releases-dir is required, or "sources" in the config file. Run with --help for usage details.');
+  }
+
   console.log(`Output directory: ${CONFIG.outputDir}`);
 
   const maxReleases = (config.site && config.site['max-releases']) ?? 1000;
@@ -192,9 +251,21 @@ async function main() {
     process.exit(1);
   }
   console.log('Fetching releases...' + (maxReleases !== false ? ` (limited to ${maxReleases})` : ''));
-  const releaseData = await fetchAllReleases(maxReleases);
+  const releaseData = CONFIG.sources
+    ? await fetchReleasesFromSources(CONFIG.sources, maxReleases)
+    : await fetchAllReleases(maxReleases);
   let releases = releaseData.releases;
 
+  // With a single source the repository may be known only after fetching
+  // (named in a releases file, or a project from another platform)
+  if (CONFIG.sources && !CONFIG.multipleSources && !CONFIG.repo && releases.length > 0 && releases[0].repo) {
+    if (releases[0].platform && releases[0].platform !== 'github') {
+      CONFIG.repoUrl = `${releases[0].webUrl}/${releases[0].repo}`;
+    } else {
+      CONFIG.repo = releases[0].repo;
+    }
+  }
+
   console.log(`Found ${releaseData.totalCount} releases, fetched ${releaseData.listedCount}`);
 
   // Strip hidden content from release bodies
@@ -203,14 +274,36 @@ async function main() {
     releases = stripHiddenContent(releases, hideTag);
   }
 
+  const configDefaults = config.defaults || {};
+  const defaults = {
+    latestMatch: configDefaults['latest-match'],
+    cutoffDate: configDefaults['cutoff-date'],
+    cutoffAnchor: configDefaults['cutoff-anchor'],
+    cutoffMinReleases: configDefaults['cutoff-min-releases'],
+    maxDisplayed: configDefaults['max-displayed'],
+    inheritParentMatchers: configDefaults['inherit-parent-matchers'],
+    exclusive: configDefaults['exclusive'],
+    sort: configDefaults['sort'],
+    keepLast: configDefaults['keep-last']
+  };
+  const unmatchedConfig = config.unmatched || {};
+
+  // If --explain is used, just explain how the release is categorized, then exit
+  if (CONFIG.explain) {
+    const { explainRelease } = require('./lib/explain');
+    const { found, text } = explainRelease(CONFIG.explain, releases, config, defaults, unmatchedConfig);
+    console.log('');
+    console.log(text);
+    if (!found) {
+      process.exit(1);
+    }
+    return;
+  }
+
   // Apply global include/exclude filters
-  const includeFilter = config.include;
-  const excludeFilter = config.exclude;
-  if (includeFilter || excludeFilter) {
+  if (config.include || config.exclude) {
     const beforeCount = releases.length;
-    releases = releases.filter(r =>
-      matchesFilter(r, includeFilter) && !matchesFilter(r, excludeFilter)
-    );
+    releases = releases.filter(r => passesGlobalFilters(r, config));
     const filtered = beforeCount - releases.length;
     if (filtered > 0) {
       console.log(`Filtered out ${filtered} releases by include/exclude rules`);
@@ -219,17 +312,11 @@ async function main() {
 
   if (releaseData.totalCount === 0) {
     console.error('Error: Repository has no releases. Nothing to generate.');
+    console.error('(A "tags" source in the config file can build the release list from git tags and a changelog file)');
     process.exit(1);
   }
 
   console.log('Classifying releases...');
-  const configDefaults = config.defaults || {};
-  const defaults = {
-    latestMatch: configDefaults['latest-match'],
-    cutoffDate: configDefaults['cutoff-date'],
-    maxDisplayed: configDefaults['max-displayed']
-  };
-  const unmatchedConfig = config.unmatched || {};
   const { tree, unmatchedReleases, defaultMaxDisplayed, unmatchedMaxDisplayed } = classifyReleases(releases, config.categories || [], defaults, unmatchedConfig);
 
   // Collect all listed releases after classification (cutoff-date filtering, etc.)
@@ -267,9 +354,13 @@ async function main() {
   }
 
   // Sort by date descending
-  const latestReleases = Array.from(latestReleasesMap.values())
+  const latestByDate = Array.from(latestReleasesMap.values())
     .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
 
+  // Order of the latest page: latest-page.sort, defaults.sort or by date
+  const latestPageSort = (config['latest-page'] && config['latest-page'].sort) || configDefaults['sort'] || 'date';
+  const latestReleases = sortReleases([...latestByDate], latestPageSort);
+
   // Extract deduplicated assets (most recent release wins for duplicate names)
   function extractDeduplicatedAssets(releases) {
     const assetMap = new Map();
@@ -291,7 +382,7 @@ async function main() {
     return Array.from(assetMap.values());
   }
 
-  const latestAssets = extractDeduplicatedAssets(latestReleases);
+  const latestAssets = extractDeduplicatedAssets(latestByDate);
 
   // Find oldest listed release (by publishedAt date)
   let oldestListed = null;
@@ -341,6 +432,23 @@ async function main() {
       fs.writeFileSync(path.join(tempDir, 'index.html'), await generateFullHtml(tree, unmatchedReleases, config, defaultMaxDisplayed, unmatchedMaxDisplayed, latestReleases, latestAssets));
     }
 
+    // Feeds and JSON API use the category IDs (and the feeds the release bodies) from the HTML generation
+    const displayedUnmatched = unmatchedConfig.show !== false && unmatchedReleases.length > 0
+      ? { name: unmatchedConfig.name || 'Other', releases: unmatchedReleases }
+      : null;
+    if (CONFIG.feeds.enabled) {
+      const latestPageConfig = config['latest-page'] || {};
+      const feeds = collectFeeds(
+        tree,
+        displayedUnmatched,
+        latestPageConfig.enable === true ? { name: latestPageConfig.title || 'Latest', releases: latestReleases } : null
+      );
+      writeFeeds(tempDir, feeds, (config.site && config.site.title) || 'Releases');
+    }
+    if (config.api && config.api.enable === true) {
+      writeJsonApi(tempDir, tree, displayedUnmatched, latestReleases, config);
+    }
+
     fs.writeFileSync(path.join(tempDir, 'style.css'), await loadCss(config));
     fs.writeFileSync(path.join(tempDir, 'script.js'), loadJs(isMultiPage));
 
@@ -355,6 +463,7 @@ async function main() {
     // Copy files recursively for multi-page mode
     copyDirRecursive(tempDir, CONFIG.outputDir);
 
+    logRateLimitStatus();
     console.log(`Done! Output written to ${CONFIG.outputDir}`);
   } finally {
     // Clean up temp directory
@@ -0,0 +1,606 @@
+const yaml = require('js-yaml');
+const { parseRange } = require('./semver');
+const { parseSize, resolveMatcherReferences } = require('./matcher');
+
+// ============================================================================
+// Configuration File Schema
+// ============================================================================
+
+// Schema nodes are plain objects with a "kind":
+//   string, boolean, regex, date (ISO or relative cutoff date), version-range, size (bytes or "10MB"), any
+//   regex { capture } (capture: must contain a named capture group)
+//   integer { min }
+//   literal { value }
+//   enum { values }
+//   array { items }
+//   map { values } (mapping with arbitrary keys)
+//   matcher-name (name of a matcher defined in the top-level "matchers" section)
+//   object { fields, required } (fields: key -> schema)
+//   union { options, expected } (validated with the first option accepting the value type)
+//   lazy { get } (for recursive definitions)
+
+const string = { kind: 'string' };
+const boolean = { kind: 'boolean' };
+const regex = { kind: 'regex' };
+const positiveInteger = { kind: 'integer', min: 1 };
+const nonNegativeInteger = { kind: 'integer', min: 0 };
+const size = { kind: 'size' };
+const nullValue = { kind: 'literal', value: null };
+const falseValue = { kind: 'literal', value: false };
+
+const union = (expected, ...options) => ({ kind: 'union', options, expected });
+const object = (fields, required = []) => ({ kind: 'object', fields, required });
+const array = items => ({ kind: 'array', items });
+
+const limit = union('a positive integer, false or null', positiveInteger, falseValue, nullValue);
+const date = { kind: 'date' };
+const cutoffDate = union('a date ("2024-01-31"), a relative date ("-6m"), false or null', date, falseValue, nullValue);
+
+// Version ranges must be quoted, unquoted numbers like 2.10 are parsed as 2.1 by YAML
+const versionRange = { kind: 'version-range' };
+const versionMatcher = union('a quoted version range (">=2.4 <3") or { range, prefix }',
+  versionRange, object({ 'range': versionRange, 'prefix': regex }, ['range']));
+
+// Lifecycle status of a category (category-status matches the status of the category of the release)
+const lifecycleStatus = { kind: 'enum', values: ['active', 'maintenance', 'eol'] };
+const categoryStatusMatcher = union('"active", "maintenance", "eol" or a list of them', lifecycleStatus, array(lifecycleStatus));
+
+// Matchers (recursive: match-any and match-all contain matchers)
+const matcherName = { kind: 'matcher-name' };
+const MATCHER_FIELDS = {
+  'use': union('a matcher name or a list of matcher names', matcherName, array(matcherName)),
+  'match-any': { kind: 'lazy', get: () => matcherList },
+  'match-all': { kind: 'lazy', get: () => matcherList },
+  'title': regex,
+  'title-not': regex,
+  'tag': regex,
+  'tag-not': regex,
+  'body': regex,
+  'body-not': regex,
+  'assets': regex,
+  'assets-not': regex,
+  'repo': regex,
+  'repo-not': regex,
+  'version': versionMatcher,
+  'version-not': versionMatcher,
+  'published-after': date,
+  'published-before': date,
+  'author': regex,
+  'author-not': regex,
+  'has-assets': boolean,
+  'asset-count': object({ 'min': nonNegativeInteger, 'max': nonNegativeInteger }),
+  'asset-size': object({
+    'min': size,
+    'max': size,
+    'per-asset': union('false, "any" or "all"', falseValue, { kind: 'enum', values: ['any', 'all'] })
+  }),
+  'is-prerelease': boolean,
+  'is-latest': boolean
+};
+const matcher = object(MATCHER_FIELDS);
+const matcherList = array(matcher);
+
+// Matchers that only make sense in latest-match (the category of the release is only known there)
+const LATEST_MATCHER_FIELDS = {
+  'category-status': categoryStatusMatcher,
+  'category-status-not': categoryStatusMatcher
+};
+const latestMatcher = object({
+  ...MATCHER_FIELDS,
+  ...LATEST_MATCHER_FIELDS,
+  'match-any': { kind: 'lazy', get: () => latestMatcherList },
+  'match-all': { kind: 'lazy', get: () => latestMatcherList }
+});
+const latestMatcherList = array(latestMatcher);
+
+const latestMatch = union('"newest", false, null, a matcher or a list of matchers',
+  { kind: 'enum', values: ['newest'] }, falseValue, nullValue, latestMatcherList, latestMatcher);
+
+const inheritParentMatchers = union('true, false, "and", "or" or null',
+  boolean, { kind: 'enum', values: ['and', 'or'] }, nullValue);
+
+const sort = union('"date", "date-asc", "version", "version-asc", "title", "tag" or null',
+  { kind: 'enum', values: ['date', 'date-asc', 'version', 'version-asc', 'title', 'tag'] }, nullValue);
+
+const keepLast = union('a positive integer, { releases, major-lines, minor-lines, per-major, per-minor, prefix }, false or null',
+  positiveInteger, object({
+    'releases': positiveInteger,
+    'major-lines': positiveInteger,
+    'minor-lines': positiveInteger,
+    'per-major': positiveInteger,
+    'per-minor': positiveInteger,
+    'prefix': regex
+  }), falseValue, nullValue);
+
+const cutoffAnchor = union('"now", "newest" or null', { kind: 'enum', values: ['now', 'newest'] }, nullValue);
+
+const lifecycleDate = union('a date ("2024-01-31") or null', date, nullValue);
+
+const exclusive = union('"first", "specific", false or null', { kind: 'enum', values: ['first', 'specific'] }, falseValue, nullValue);
+
+// Category settings, also used to override the settings of the categories generated by group-by
+const CATEGORY_SETTINGS = {
+  'name': string,
+  'description': string,
+  'tooltip': string,
+  'categories': { kind: 'lazy', get: () => array(category) },
+  'show-releases': boolean,
+  'latest-match': latestMatch,
+  'cutoff-date': cutoffDate,
+  'cutoff-anchor': cutoffAnchor,
+  'cutoff-min-releases': limit,
+  'max-displayed': limit,
+  'inherit-parent-matchers': inheritParentMatchers,
+  'exclusive': exclusive,
+  'sort': sort,
+  'keep-last': keepLast,
+  'status': union('"active", "maintenance", "eol" or null', lifecycleStatus, nullValue),
+  'support-until': lifecycleDate,
+  'end-of-life': lifecycleDate
+};
+
+const groupBy = object({
+  'pattern': { kind: 'regex', capture: true },
+  'field': { kind: 'enum', values: ['tag', 'title', 'repo'] },
+  'group': string,
+  'name': string,
+  'tooltip': string,
+  'description': string,
+  'sort': { kind: 'enum', values: ['name', 'name-desc', 'newest', 'count'] },
+  'groups': { kind: 'map', values: union('category settings or false', object(CATEGORY_SETTINGS), falseValue) }
+}, ['pattern']);
+
+// Version line keys must be quoted ("2.10"), unquoted numbers like 2.10 are parsed as 2.1 by YAML
+const versionLineBy = { kind: 'enum', values: ['major', 'minor'] };
+const versionLines = union('"major", "minor" or { by, prefix, name, sort, lines }', versionLineBy, object({
+  'by': versionLineBy,
+  'prefix': regex,
+  'name': string,
+  'tooltip': string,
+  'description': string,
+  'sort': { kind: 'enum', values: ['desc', 'asc'] },
+  'lines': { kind: 'map', values: union('category settings or false', object(CATEGORY_SETTINGS), falseValue) }
+}));
+
+const category = object({
+  ...MATCHER_FIELDS,
+  ...CATEGORY_SETTINGS,
+  'group-by': groupBy,
+  'version-lines': versionLines
+}, ['name']);
+
+const source = union('an "owner/repo" string or a source object', string, object({
+  'type': { kind: 'enum', values: ['github', 'gitlab', 'gitea', 'forgejo', 'tags', 'file', 'dir'] },
+  'repo': string,
+  'releases-file': string,
+  'releases-dir': string,
+  'name': string,
+  'cache-file': string,
+  'project': union('a project path or numeric ID', string, { kind: 'integer', min: 1 }),
+  'url': string,
+  'token-env': string,
+  'git-dir': string,
+  'changelog': union('a path, a URL or false', string, falseValue),
+  'tag-prefix': string
+}));
+
+const CONFIG_SCHEMA = object({
+  'sources': array(source),
+  'matchers': { kind: 'map', values: matcher },
+  'defaults': object({
+    'latest-match': latestMatch,
+    'cutoff-date': cutoffDate,
+    'cutoff-anchor': cutoffAnchor,
+    'cutoff-min-releases': limit,
+    'max-displayed': limit,
+    'inherit-parent-matchers': inheritParentMatchers,
+    'exclusive': exclusive,
+    'sort': sort,
+    'keep-last': keepLast
+  }),
+  'include': matcher,
+  'exclude': matcher,
+  'site': object({
+    'title': string,
+    'description': string,
+    'favicon': string,
+    'style': string,
+    'max-releases': union('a positive integer or false', positiveInteger, falseValue),
+    'show-latest-only-toggle': boolean,
+    'hide-tag': union('a tag name or false', string, falseValue),
+    'main-page': object({
+      'render': boolean,
+      'content-file': string,
+      'content': string
+    })
+  }),
+  'multi-page': object({
+    'enabled': boolean,
+    'page-size': union('a positive integer or false', positiveInteger, falseValue)
+  }),
+  'latest-page': object({
+    'enable': boolean,
+    'title': string,
+    'description': string,
+    'max-displayed': limit,
+    'page-size': limit,
+    'assets-max-displayed': limit,
+    'assets-page-size': limit,
+    'sort': sort
+  }),
+  'feeds': object({
+    'enable': boolean,
+    'formats': array({ kind: 'enum', values: ['atom', 'rss'] }),
+    'max-items': union('a positive integer or false', positiveInteger, falseValue),
+    'site-url': string
+  }),
+  'api': object({
+    'enable': boolean
+  }),
+  'unmatched': object({
+    'show': boolean,
+    'name': string,
+    'max-displayed': limit,
+    'cutoff-date': cutoffDate,
+    'cutoff-anchor': cutoffAnchor,
+    'cutoff-min-releases': limit,
+    'latest-match': latestMatch,
+    'sort': sort,
+    'keep-last': keepLast
+  }),
+  'categories': array(category)
+});
+
+// ============================================================================
+// YAML Locations
+// ============================================================================
+
+function childPath(parent, key) {
+  return typeof key === 'number' ? `${parent}[${key}]` : (parent ? `${parent}.${key}` : String(key));
+}
+
+/**
+ * Parse YAML keeping track of where each value and key is located in the source
+ * @param {string} content - YAML source
+ * @returns {Object} - { data, locations } where locations maps value paths (e.g. "categories[0].tag")
+ *   to { line, column } (1-based); key locations are stored as "path:key"
+ */
+function loadYamlWithLocations(content) {
+  const root = { children: [] };
+  const stack = [root];
+
+  // The "open" event happens before the separation space (and comments) preceding the node
+  const skipSpace = pos => {
+    while (pos < content.length) {
+      const c = content[pos];
+      if (c === '#') {
+        while (pos < content.length && content[pos] !== '\n') pos++;
+      } else if (c === ' ' || c === '\t' || c === '\r' || c === '\n') {
+        pos++;
+      } else {
+        break;
+      }
+    }
+    return pos;
+  };
+
+  const data = yaml.load(content, {
+    listener(event, state) {
+      if (event === 'open') {
+        stack.push({ position: skipSpace(state.position), children: [] });
+      } else {
+        const node = stack.pop();
+        node.kind = state.kind;
+        node.result = state.result;
+        stack[stack.length - 1].children.push(node);
+      }
+    }
+  });
+
+  // Line start offsets, to convert positions to line/column
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+  const toLocation = position => {
+    let line = lineStarts.length - 1;
+    while (line > 0 && lineStarts[line] > position) line--;
+    return { line: line + 1, column: position - lineStarts[line] + 1 };
+  };
+
+  const locations = new Map();
+  const walk = (node, path) => {
+    locations.set(path, toLocation(node.position));
+    if (node.kind === 'mapping') {
+      // Children alternate between keys and values
+      for (let i = 0; i + 1 < node.children.length; i += 2) {
+        const keyPath = childPath(path, node.children[i].result);
+        locations.set(`${keyPath}:key`, toLocation(node.children[i].position));
+        walk(node.children[i + 1], keyPath);
+      }
+    } else if (node.kind === 'sequence') {
+      node.children.forEach((child, index) => walk(child, childPath(path, index)));
+    }
+  };
+  if (root.children.length > 0) {
+    walk(root.children[0], '');
+  }
+
+  return { data, locations };
+}
+
+// ============================================================================
+// Validation
+// ============================================================================
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'list';
+  if (value instanceof Date) return 'date';
+  if (typeof value === 'object') return 'mapping';
+  return typeof value;
+}
+
+/**
+ * Check if a schema node accepts the JavaScript type of a value (used to pick a union option)
+ */
+function acceptsType(schema, value) {
+  switch (schema.kind) {
+    case 'string':
+    case 'regex':
+    case 'version-range':
+    case 'matcher-name':
+      return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    case 'integer': return typeof value === 'number';
+    case 'size': return typeof value === 'number' || typeof value === 'string';
+    case 'date': return typeof value === 'string' || value instanceof Date;
+    case 'literal': return value === schema.value;
+    case 'enum': return typeof value === 'string' && schema.values.includes(value);
+    case 'array': return Array.isArray(value);
+    case 'object':
+    case 'map':
+      return typeOf(value) === 'mapping';
+    case 'union': return schema.options.some(o => acceptsType(o, value));
+    case 'lazy': return acceptsType(schema.get(), value);
+    default: return true;
+  }
+}
+
+function describeSchema(schema) {
+  switch (schema.kind) {
+    case 'string': return 'a string';
+    case 'regex': return 'a regular expression string';
+    case 'version-range': return 'a quoted version range (">=2.4 <3")';
+    case 'boolean': return 'true or false';
+    case 'integer': return schema.min === 1 ? 'a positive integer' : schema.min === 0 ? 'zero or a positive integer' : 'an integer';
+    case 'size': return 'a size in bytes or with a unit ("500KB", "1.5GB")';
+    case 'date': return 'a date ("2024-01-31") or a relative date ("-6m")';
+    case 'literal': return String(schema.value);
+    case 'enum': return schema.values.map(v => `"${v}"`).join(', ');
+    case 'array': return 'a list';
+    case 'object':
+    case 'map':
+      return 'a mapping';
+    case 'matcher-name': return 'a matcher name';
+    case 'union': return schema.expected;
+    case 'lazy': return describeSchema(schema.get());
+    default: return 'a value';
+  }
+}
+
+/**
+ * Edit distance between two strings, for "did you mean" suggestions
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = current;
+    }
+  }
+  return previous[b.length];
+}
+
+function suggestKey(key, knownKeys) {
+  const normalized = String(key).toLowerCase().replace(/_/g, '-');
+  let best = null;
+  let bestDistance = Infinity;
+  for (const known of knownKeys) {
+    const distance = editDistance(normalized, known);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= 2 ? best : null;
+}
+
+/**
+ * Validate a configuration against the schema
+ * @param {Object} config - Parsed configuration
+ * @param {Map} locations - Value/key locations from loadYamlWithLocations (optional)
+ * @returns {Array} - Array of { path, line, column, category, message }, empty if the configuration is valid
+ */
+function validateConfig(config, locations = new Map()) {
+  const issues = [];
+  const categoryNames = [];
+
+  const report = (path, message, isKey = false) => {
+    const location = (isKey && locations.get(`${path}:key`)) || locations.get(path) || {};
+    issues.push({
+      path,
+      line: location.line || null,
+      column: location.column || null,
+      category: categoryNames.length > 0 ? categoryNames.join(' > ') : null,
+      message
+    });
+  };
+
+  const validate = (schema, value, path) => {
+    switch (schema.kind) {
+      case 'lazy':
+        return validate(schema.get(), value, path);
+
+      case 'union': {
+        const option = schema.options.find(o => acceptsType(o, value));
+        if (!option) {
+          const got = ['string', 'number', 'boolean'].includes(typeof value) ? `got: ${value}` : `got ${typeOf(value)}`;
+          report(path, `expected ${schema.expected}, ${got}`);
+          return;
+        }
+        return validate(option, value, path);
+      }
+
+      case 'object': {
+        if (typeOf(value) !== 'mapping') {
+          report(path, `expected a mapping, got ${typeOf(value)}`);
+          return;
+        }
+        const isCategory = schema === category;
+        if (isCategory) categoryNames.push(typeof value.name === 'string' ? value.name : '(unnamed)');
+
+        for (const key of schema.required) {
+          if (value[key] === undefined || value[key] === null) {
+            report(path, `"${key}" is required`);
+          }
+        }
+        const knownKeys = Object.keys(schema.fields);
+        for (const [key, child] of Object.entries(value)) {
+          const keyPath = childPath(path, key);
+          if (!Object.hasOwn(schema.fields, key) && Object.hasOwn(LATEST_MATCHER_FIELDS, key)) {
+            report(keyPath, `"${key}" can only be used in latest-match`, true);
+            continue;
+          }
+          if (!Object.hasOwn(schema.fields, key)) {
+            const suggestion = suggestKey(key, knownKeys);
+            report(keyPath, `unknown key "${key}"` + (suggestion ? `, did you mean "${suggestion}"?` : ''), true);
+            continue;
+          }
+          validate(schema.fields[key], child, keyPath);
+        }
+
+        if (isCategory) categoryNames.pop();
+        return;
+      }
+
+      case 'map':
+        if (typeOf(value) !== 'mapping') {
+          report(path, `expected a mapping, got ${typeOf(value)}`);
+          return;
+        }
+        for (const [key, child] of Object.entries(value)) {
+          validate(schema.values, child, childPath(path, key));
+        }
+        return;
+
+      case 'matcher-name': {
+        const defined = config.matchers && typeOf(config.matchers) === 'mapping' ? Object.keys(config.matchers) : [];
+        if (typeof value !== 'string') {
+          report(path, `expected a matcher name, got ${typeOf(value)}`);
+        } else if (!defined.includes(value)) {
+          const suggestion = suggestKey(value, defined);
+          report(path, `undefined matcher "${value}"` + (suggestion ? `, did you mean "${suggestion}"?` : defined.length === 0 ? ' (there\'s no "matchers" section)' : ''));
+        }
+        return;
+      }
+
+      case 'array':
+        if (!Array.isArray(value)) {
+          report(path, `expected a list, got ${typeOf(value)}`);
+          return;
+        }
+        value.forEach((item, index) => validate(schema.items, item, childPath(path, index)));
+        return;
+
+      case 'regex':
+        if (typeof value !== 'string') {
+          report(path, `expected a regular expression string, got ${typeOf(value)}`);
+          return;
+        }
+        try {
+          new RegExp(value, 'i');
+        } catch (err) {
+          report(path, err.message);
+          return;
+        }
+        if (schema.capture && !/\(\?<[A-Za-z_$][\w$]*>/.test(value)) {
+          report(path, 'expected a regular expression with a named capture group, e.g. "^(?<package>[^@]+)@"');
+        }
+        return;
+
+      case 'size':
+        if (parseSize(value) === null) {
+          report(path, `expected ${describeSchema(schema)}, got: ${value}`);
+        }
+        return;
+
+      case 'version-range':
+        if (typeof value !== 'string') {
+          report(path, `expected ${describeSchema(schema)}, got ${typeOf(value)}`);
+          return;
+        }
+        try {
+          parseRange(value);
+        } catch (err) {
+          report(path, err.message);
+        }
+        return;
+
+      case 'date':
+        if (value instanceof Date) return;
+        if (typeof value !== 'string' || (!/^-\d+[dwmy]$/i.test(value) && isNaN(new Date(value).getTime()))) {
+          report(path, `expected ${describeSchema(schema)}, got: ${value}`);
+        }
+        return;
+
+      case 'integer':
+        if (!Number.isInteger(value) || (schema.min !== undefined && value < schema.min)) {
+          report(path, `expected ${describeSchema(schema)}, got: ${value}`);
+        }
+        return;
+
+      default:
+        if (!acceptsType(schema, value)) {
+          report(path, `expected ${describeSchema(schema)}, got ${typeOf(value)}`);
+        }
+    }
+  };
+
+  if (config === null || config === undefined) {
+    report('', 'the configuration file is empty');
+  } else {
+    validate(CONFIG_SCHEMA, config, '');
+  }
+
+  // Cycles between named matchers (only checked when the rest is valid, undefined names are reported above)
+  if (issues.length === 0) {
+    try {
+      resolveMatcherReferences(config);
+    } catch (err) {
+      report(err.configPath || 'matchers', err.detail || err.message);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Format a validation issue as a single line: "file:line:column: path: message (category "A > B")"
+ */
+function formatConfigIssue(issue, fileName) {
+  const location = issue.line ? `${fileName}:${issue.line}:${issue.column}` : fileName;
+  const path = issue.path ? `${issue.path}: ` : '';
+  const category = issue.category ? ` (category "${issue.category}")` : '';
+  return `${location}: ${path}${issue.message}${category}`;
+}
+
+module.exports = {
+  loadYamlWithLocations,
+  validateConfig,
+  formatConfigIssue
+};
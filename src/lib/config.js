@@ -9,21 +9,49 @@ function printUsage() {
   console.log(`
 Usage: node generate-release-page.js --repo <owner/repo> [options]
        node generate-release-page.js --releases-file <path> [options]
+       node generate-release-page.js --releases-dir <dir> [options]
+       node generate-release-page.js --validate [--config <path>] [--releases-file <path>]
 
-Either --repo or --releases-file is required.
+One of --repo, --releases-file or --releases-dir is required, unless the config file lists "sources".
 
 Options:
   --repo <owner/repo>     Repository to fetch releases from
                           Can be full URL: https://github.com/owner/repo
+  --api-url <url>         GitHub API base URL, for GitHub Enterprise Server
+                          (or use GITHUB_API_URL env var, default: https://api.github.com)
+  --web-url <url>         GitHub web base URL, for GitHub Enterprise Server
+                          (or use GITHUB_SERVER_URL env var, default: https://github.com)
   --releases-file <path>  Load releases from a local JSON file instead of GitHub API
+  --releases-dir <dir>    Load releases from a directory of markdown files with YAML
+                          front matter instead of GitHub API (--repo optional, for links)
   --token <token>         GitHub API token (or use GITHUB_TOKEN env var)
   --config <path>         Config file path, local or URL
                           Default: .github/categorized-releases/config.yaml
   --output <dir>          Output directory for generated site (default: _site)
+  --lenient-config        Report configuration file errors (unknown keys, wrong types,
+                          invalid regular expressions) as warnings instead of failing
+  --validate              Only check the config file (and the releases file or directory,
+                          if specified) and print a report, no page generated
+                          Exits with code 1 if errors are found
+  --validate-report <path>
+                          With --validate, also write the report to a JSON file
+  --explain <tag>         Explain how the release with this tag (or name) is filtered
+                          and categorized: matchers passed/failed for every category,
+                          cutoff-date and max-displayed rules. No page generated
   --save-releases <path>  Fetch ALL releases and save to JSON file, then exit
                           (config file not used, no page generated)
+  --max-retries <n>       Retries for failed GitHub API requests (default: 4)
+  --max-rate-limit-wait <seconds>
+                          Maximum time to wait for a GitHub API rate limit reset
+                          before failing (default: 600)
+  --cache-file <path>     Keep all fetched releases in this JSON file and only fetch
+                          new releases from the API on later runs (uses conditional requests)
+  --refresh-cache         Ignore the contents of --cache-file and fetch all releases again
   --github-markdown       Use GitHub API for markdown rendering instead of local code
                           (slower but more similar to GitHub's own rendering)
+  --api <rest|graphql>    GitHub API used to fetch releases (default: rest)
+                          graphql fetches the rendered release bodies in the same query
+                          (no extra calls with --github-markdown), requires a token
   --help                  Show this help message
 
 Examples:
@@ -36,31 +64,86 @@ Examples:
   # Using a local releases file (for offline development or testing)
   node generate-release-page.js --releases-file releases.json --config ./config.yaml
 
+  # Using a directory of release notes written in markdown
+  node generate-release-page.js --releases-dir releases/ --config ./config.yaml
+
+  # Using GitHub Enterprise Server
+  node generate-release-page.js --repo owner/repo --web-url https://github.example.com
+
   # Fetch releases and save for later use (no page generated)
   node generate-release-page.js --repo owner/repo --save-releases releases.json
+
+  # Keep an incremental release cache between runs
+  node generate-release-page.js --repo owner/repo --cache-file releases-cache.json
+
+  # Find out why a release isn't in the expected category
+  node generate-release-page.js --releases-file releases.json --explain v2.1.0
+
+  # Check a config file against a set of releases without generating the site
+  node generate-release-page.js --validate --config ./config.yaml --releases-file releases.json
 `);
 }
 
+const DEFAULT_API_URL = 'https://api.github.com';
+const DEFAULT_WEB_URL = 'https://github.com';
+
 function parseRepoArg(repo) {
   if (!repo) return null;
-  // Handle full GitHub URL
-  const urlMatch = repo.match(/github\.com\/([^\/]+\/[^\/]+)/);
+  // Handle full repository URL (github.com or GitHub Enterprise Server host)
+  const urlMatch = repo.match(/^https?:\/\/[^\/]+\/([^\/]+\/[^\/]+)/) || repo.match(/github\.com\/([^\/]+\/[^\/]+)/);
   if (urlMatch) {
     return urlMatch[1].replace(/\.git$/, '');
   }
   return repo;
 }
 
+/**
+ * Resolve the API, GraphQL and web base URLs.
+ * When only one of the API and web URLs is specified, the other one is derived from it
+ * following the GitHub Enterprise Server conventions (https://HOST/api/v3 and https://HOST).
+ * @returns {Object} - { apiUrl, graphqlUrl, webUrl }
+ */
+function resolveBaseUrls(apiUrl, webUrl) {
+  apiUrl = apiUrl ? apiUrl.replace(/\/+$/, '') : null;
+  webUrl = webUrl ? webUrl.replace(/\/+$/, '') : null;
+
+  if (!apiUrl) {
+    apiUrl = !webUrl || webUrl === DEFAULT_WEB_URL ? DEFAULT_API_URL : `${webUrl}/api/v3`;
+  }
+  if (!webUrl) {
+    webUrl = apiUrl === DEFAULT_API_URL ? DEFAULT_WEB_URL : apiUrl.replace(/\/api\/v3$/, '');
+  }
+
+  // GitHub Enterprise Server: https://HOST/api/v3 -> https://HOST/api/graphql
+  const graphqlUrl = /\/api\/v3$/.test(apiUrl)
+    ? apiUrl.replace(/\/v3$/, '/graphql')
+    : `${apiUrl}/graphql`;
+
+  return { apiUrl, graphqlUrl, webUrl };
+}
+
 function parseArgs() {
   const args = process.argv.slice(2);
   const config = {
     token: process.env.GITHUB_TOKEN || null,
     repo: null,
+    apiUrl: null,
+    webUrl: null,
     configPath: '.github/categorized-releases/config.yaml',
     outputDir: '_site',
     releasesFile: null,
+    releasesDir: null,
     saveReleasesFile: null,
-    useGitHubMarkdown: false
+    cacheFile: null,
+    refreshCache: false,
+    api: 'rest',
+    maxRetries: 4,
+    maxRateLimitWait: 600,
+    useGitHubMarkdown: false,
+    lenientConfig: false,
+    validate: false,
+    validateReportFile: null,
+    explain: null
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -71,6 +154,12 @@ function parseArgs() {
       case '--repo':
         config.repo = parseRepoArg(args[++i]);
         break;
+      case '--api-url':
+        config.apiUrl = args[++i];
+        break;
+      case '--web-url':
+        config.webUrl = args[++i];
+        break;
       case '--config':
         config.configPath = args[++i];
         break;
@@ -80,9 +169,39 @@ function parseArgs() {
       case '--releases-file':
         config.releasesFile = args[++i];
         break;
+      case '--lenient-config':
+        config.lenientConfig = true;
+        break;
+      case '--validate':
+        config.validate = true;
+        break;
+      case '--validate-report':
+        config.validateReportFile = args[++i];
+        break;
+      case '--explain':
+        config.explain = args[++i];
+        break;
+      case '--releases-dir':
+        config.releasesDir = args[++i];
+        break;
       case '--save-releases':
         config.saveReleasesFile = args[++i];
         break;
+      case '--cache-file':
+        config.cacheFile = args[++i];
+        break;
+      case '--refresh-cache':
+        config.refreshCache = true;
+        break;
+      case '--max-retries':
+        config.maxRetries = parseInt(args[++i], 10);
+        break;
+      case '--max-rate-limit-wait':
+        config.maxRateLimitWait = parseInt(args[++i], 10);
+        break;
+      case '--api':
+        config.api = args[++i];
+        break;
       case '--github-markdown':
         config.useGitHubMarkdown = true;
         break;
@@ -99,10 +218,51 @@ function parseArgs() {
     }
   }
 
-  // Validate required arguments
-  if (!config.repo && !config.releasesFile) {
-    console.error('Error: Either --repo or --releases-file is required.');
-    console.error('Run with --help for usage details.');
+  // The environment variables are only used when no URL is given as an argument, so that a --web-url
+  // alone isn't combined with the API URL of the instance running a workflow
+  if (!config.apiUrl && !config.webUrl) {
+    config.apiUrl = process.env.GITHUB_API_URL || null;
+    config.webUrl = process.env.GITHUB_SERVER_URL || null;
+  }
+  Object.assign(config, resolveBaseUrls(config.apiUrl, config.webUrl));
+
+  if (config.releasesFile && config.releasesDir) {
+    console.error('Error: Cannot specify both --releases-file and --releases-dir.');
+    process.exit(1);
+  }
+
+  if (config.validateReportFile && !config.validate) {
+    console.error('Error: --validate-report requires --validate.');
+    process.exit(1);
+  }
+
+  if (config.validate && config.saveReleasesFile) {
+    console.error('Error: Cannot specify both --validate and --save-releases.');
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(config.maxRetries) || config.maxRetries < 0) {
+    console.error('Error: --max-retries must be zero or a positive integer.');
+    process.exit(1);
+  }
+
+  if (!Number.isInteger(config.maxRateLimitWait) || config.maxRateLimitWait < 0) {
+    console.error('Error: --max-rate-limit-wait must be zero or a positive number of seconds.');
+    process.exit(1);
+  }
+
+  if (config.api !== 'rest' && config.api !== 'graphql') {
+    console.error(`Error: --api must be "rest" or "graphql", got: ${config.api}`);
+    process.exit(1);
+  }
+
+  if (config.cacheFile && config.api === 'graphql') {
+    console.error('Error: --cache-file is only supported with --api rest.');
+    process.exit(1);
+  }
+
+  if (config.refreshCache && !config.cacheFile) {
+    console.error('Error: --refresh-cache requires --cache-file.');
     process.exit(1);
   }
 
@@ -121,6 +281,28 @@ async function fetchUrl(url) {
   return response.text();
 }
 
+/**
+ * Read the configuration file, local or remote
+ * @param {string} configPath - Path or URL of the configuration file
+ * @returns {Object} - { content, configDir } (configDir is a URL for remote files)
+ */
+async function readConfigFile(configPath) {
+  if (isUrl(configPath)) {
+    return {
+      content: await fetchUrl(configPath),
+      configDir: configPath.substring(0, configPath.lastIndexOf('/'))
+    };
+  }
+
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Configuration file not found: ${configPath}`);
+  }
+  return {
+    content: fs.readFileSync(configPath, 'utf8'),
+    configDir: path.dirname(configPath)
+  };
+}
+
 // Parse arguments early so they're available globally
 const CONFIG = parseArgs();
 
@@ -129,6 +311,8 @@ module.exports = {
   printUsage,
   parseArgs,
   parseRepoArg,
+  resolveBaseUrls,
   isUrl,
-  fetchUrl
+  fetchUrl,
+  readConfigFile
 };
@@ -0,0 +1,49 @@
+// ============================================================================
+// Dates
+// ============================================================================
+
+/**
+ * Parse a cutoff date string and return a Date object
+ * Supports:
+ * - ISO date/datetime strings (e.g., "2022-01-01", "2022-01-01T00:00:00Z")
+ * - Relative dates: -1d (days), -1w (weeks), -1m (months), -1y (years)
+ * - false = no cutoff
+ * @param {string|false|null} cutoffDate - Cutoff date specification
+ * @param {Date} reference - Date that relative dates are relative to (default: now)
+ * @returns {Date|false|null} - Date object, false (disabled), or null (invalid)
+ */
+function parseCutoffDate(cutoffDate, reference = new Date()) {
+  if (cutoffDate === false) return false;
+  if (!cutoffDate) return null;
+
+  // Check for relative date format: -Nd, -Nw, -Nm, -Ny
+  const relativeMatch = String(cutoffDate).match(/^-(\d+)([dwmy])$/i);
+  if (relativeMatch) {
+    const amount = parseInt(relativeMatch[1], 10);
+    const unit = relativeMatch[2].toLowerCase();
+    const now = new Date(reference.getTime());
+
+    switch (unit) {
+      case 'd':
+        now.setDate(now.getDate() - amount);
+        break;
+      case 'w':
+        now.setDate(now.getDate() - amount * 7);
+        break;
+      case 'm':
+        now.setMonth(now.getMonth() - amount);
+        break;
+      case 'y':
+        now.setFullYear(now.getFullYear() - amount);
+        break;
+    }
+    return now;
+  }
+
+  // Otherwise parse as ISO date
+  return new Date(cutoffDate);
+}
+
+module.exports = {
+  parseCutoffDate
+};
@@ -0,0 +1,262 @@
+const { classifyReleases } = require('./tree-builder');
+const { extractVersion, formatVersion } = require('./semver');
+const { parseCutoffDate } = require('./dates');
+const { passesGlobalFilters, explainCategoryMatch, explainFilter } = require('./matcher');
+
+// Release values shown next to the matchers that test them
+const assetsOf = release => (release.assets || []).filter(a => !a.isSourceCode);
+const ACTUAL_VALUES = {
+  'title': r => `name is ${JSON.stringify(r.name)}`,
+  'tag': r => `tag is ${JSON.stringify(r.tag)}`,
+  'repo': r => `repo is ${JSON.stringify(r.repo ?? null)}`,
+  'author': r => `author is ${JSON.stringify((r.author && r.author.login) || null)}`,
+  'is-prerelease': r => `prerelease is ${r.prerelease}`,
+  'is-latest': r => `isLatest is ${r.isLatest ?? null}`,
+  'has-assets': r => `${assetsOf(r).length} asset(s)`,
+  'asset-count': r => `${assetsOf(r).length} asset(s)`,
+  'asset-size': r => `sizes: ${assetsOf(r).map(a => (typeof a.size === 'number' ? a.size : 'unknown')).join(', ') || 'no assets'}`
+};
+for (const key of ['title', 'tag', 'repo', 'author']) {
+  ACTUAL_VALUES[`${key}-not`] = ACTUAL_VALUES[key];
+}
+
+const PASS = '✓';
+const FAIL = '✗';
+
+// ============================================================================
+// Match Explanations (--explain)
+// ============================================================================
+
+function formatDate(date) {
+  const value = new Date(date);
+  return isNaN(value.getTime()) ? 'invalid date' : value.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the releases to explain: by exact tag, then by exact name, then by tag or name ignoring case
+ */
+function findReleases(query, releases) {
+  const lower = query.toLowerCase();
+  const byTag = releases.filter(r => r.tag === query);
+  if (byTag.length > 0) return byTag;
+  const byName = releases.filter(r => r.name === query);
+  if (byName.length > 0) return byName;
+  return releases.filter(r => (r.tag || '').toLowerCase() === lower || (r.name || '').toLowerCase() === lower);
+}
+
+/**
+ * Add the lines explaining a matcher (as returned by explainMatcher) to the output
+ */
+function addMatcherLines(lines, explanation, release, indent) {
+  const pad = '  '.repeat(indent);
+
+  for (const check of explanation.checks) {
+    const mark = check.pass ? PASS : FAIL;
+
+    // References to named matchers ("use") are additional match-all items, shown as if they were matchers
+    if (check.key === 'match-all' && check.items.every(i => i.name)) {
+      for (const item of check.items) {
+        lines.push(`${pad}${item.pass ? PASS : FAIL} use: ${item.name}`);
+        addMatcherLines(lines, item, release, indent + 1);
+      }
+      continue;
+    }
+
+    if (check.items) {
+      const passed = check.items.filter(i => i.pass).length;
+      lines.push(`${pad}${mark} ${check.key}: ${passed} of ${check.items.length} matched`);
+      check.items.forEach((item, index) => {
+        if (item.name) {
+          lines.push(`${pad}  ${item.pass ? PASS : FAIL} use: ${item.name}`);
+          addMatcherLines(lines, item, release, indent + 2);
+        } else if (item.checks.length === 1) {
+          addMatcherLines(lines, item, release, indent + 1);
+        } else {
+          lines.push(`${pad}  ${item.pass ? PASS : FAIL} [${index}] all of:`);
+          addMatcherLines(lines, item, release, indent + 2);
+        }
+      });
+      continue;
+    }
+
+    if (check.key === 'version' || check.key === 'version-not') {
+      const { range, prefix } = check.value && typeof check.value === 'object' ? check.value : { range: check.value, prefix: null };
+      const version = extractVersion(release.tag || '', prefix ?? null);
+      const actual = version ? `version is ${formatVersion(version)}` : 'no version found in the tag';
+      lines.push(`${pad}${mark} ${check.key}: "${range}"${prefix ? ` after /${prefix}/i` : ''} (${actual})`);
+      continue;
+    }
+
+    if (check.key === 'published-after' || check.key === 'published-before') {
+      const date = parseCutoffDate(check.value);
+      const relative = typeof check.value === 'string' && check.value.startsWith('-') ? ` (${check.value})` : '';
+      lines.push(`${pad}${mark} ${check.key}: ${formatDate(date)}${relative} (published ${formatDate(release.publishedAt)})`);
+      continue;
+    }
+
+    const value = typeof check.value === 'string' ? `/${check.value}/i` : JSON.stringify(check.value);
+    const actual = ACTUAL_VALUES[check.key] ? ` (${ACTUAL_VALUES[check.key](release)})` : '';
+    lines.push(`${pad}${mark} ${check.key}: ${value}${actual}`);
+  }
+}
+
+/**
+ * Add the lines telling whether a matched release is displayed in a category, or what hides it
+ * @param {Object} info - Traced category info: { releases, cutoffDate, cutoffAnchor, cutoffMinReleases, maxDisplayed, showReleases, excluded, pruned }
+ */
+function addVisibilityLines(lines, info, release, indent) {
+  const pad = '  '.repeat(indent);
+
+  if (info.showReleases === false) {
+    lines.push(`${pad}→ not listed: show-releases is false (the match is still used by subcategories)`);
+    return;
+  }
+
+  const exclusion = info.excluded && info.excluded.get(release.id);
+  if (exclusion) {
+    lines.push(`${pad}→ not listed: exclusive categorization ("${exclusion.mode}"), the release goes to "${exclusion.winner.join(' > ')}"`);
+    return;
+  }
+
+  const pruneReason = info.pruned && info.pruned.get(release.id);
+  if (pruneReason) {
+    lines.push(`${pad}→ pruned by keep-last: ${pruneReason}`);
+    return;
+  }
+
+  const index = info.releases.findIndex(r => r.id === release.id);
+  if (index === -1) {
+    const anchor = info.cutoffAnchor === 'newest' ? ' (relative to the newest release)' : '';
+    const kept = info.cutoffMinReleases ? `, not among the ${info.cutoffMinReleases} newest releases kept by cutoff-min-releases` : '';
+    lines.push(`${pad}→ hidden by cutoff-date: published ${formatDate(release.publishedAt)}, cutoff date is ${formatDate(info.cutoffDate)}${anchor}${kept}`);
+    return;
+  }
+
+  const position = `position ${index + 1} of ${info.releases.length}`;
+  const latest = info.releases[index].isLatest ? ', marked as latest' : '';
+  if (info.maxDisplayed && index >= info.maxDisplayed) {
+    lines.push(`${pad}→ hidden by max-displayed: ${position}${latest}, only ${info.maxDisplayed} displayed`);
+  } else {
+    lines.push(`${pad}→ listed: ${position}${latest}`);
+  }
+}
+
+/**
+ * Add the line explaining why a release is in a category generated by group-by or version-lines
+ * @param {Object} group - Traced group info: { field, pattern, group, value } for group-by,
+ *   { by, prefix, value } for version-lines
+ */
+function addGroupLines(lines, group, release, indent) {
+  const pad = '  '.repeat(indent);
+  if (group.by) {
+    const version = formatVersion(extractVersion(release.tag || '', group.prefix));
+    lines.push(`${pad}${PASS} version-lines ${group.by}${group.prefix ? ` after /${group.prefix}/i` : ''}: ${group.value} (version is ${version})`);
+  } else {
+    lines.push(`${pad}${PASS} group-by ${group.field}: /${group.pattern}/i, ${group.group} is ${JSON.stringify(group.value)}`);
+  }
+}
+
+/**
+ * Explain how one release goes through the global filters and the categories
+ * @param {Array} events - Category and unmatched infos traced by classifyReleases
+ */
+function explainOne(lines, release, config, filteredOut, events) {
+  const repo = release.repo ? `, ${release.repo}` : '';
+  lines.push(`Release ${release.tag} "${release.name}" (${formatDate(release.publishedAt)}${release.prerelease ? ', prerelease' : ''}${repo})`);
+
+  // Global include/exclude filters
+  for (const key of ['include', 'exclude']) {
+    if (!config[key]) continue;
+    const explanation = explainFilter(release, config[key]);
+    const outcome = key === 'include'
+      ? (explanation.pass ? 'included' : 'not included, the release is filtered out')
+      : (explanation.pass && explanation.own ? 'excluded, the release is filtered out' : 'not excluded');
+    lines.push(`  ${key}: ${outcome}`);
+    if (explanation.own) {
+      addMatcherLines(lines, explanation.own, release, 2);
+    }
+  }
+  if (filteredOut) {
+    return;
+  }
+
+  for (const info of events) {
+    if (info.unmatched) {
+      if (info.matchedReleaseIds.has(release.id)) continue;
+      const name = (config.unmatched && config.unmatched.name) || 'Other';
+      lines.push(`  Not matched by any category: goes to the unmatched releases ("${name}")`);
+      addVisibilityLines(lines, info, release, 2);
+      continue;
+    }
+
+    const indent = info.namePath.length;
+    const pad = '  '.repeat(indent);
+    const parentMatch = info.parentReleaseMatches ? info.parentReleaseMatches.get(release.id) : undefined;
+
+    // Categories generated by group-by and version-lines: only the one with the release's captured value
+    // (or version) is shown, the others can't match it
+    if (info.group) {
+      if (info.group.releaseIds.has(release.id)) {
+        lines.push(`${pad}${PASS} Category "${info.namePath.join(' > ')}": matched`);
+        addGroupLines(lines, info.group, release, indent + 2);
+        addVisibilityLines(lines, info, release, indent + 2);
+      }
+      continue;
+    }
+
+    const explanation = explainCategoryMatch(release, info.node, parentMatch, info.inheritMode);
+
+    lines.push(`${pad}${explanation.pass ? PASS : FAIL} Category "${info.namePath.join(' > ')}": ${explanation.pass ? 'matched' : 'not matched'}`);
+    if (explanation.inherited) {
+      const mark = explanation.inherited.parentPass ? PASS : FAIL;
+      lines.push(`${pad}    ${mark} parent category (inherit-parent-matchers: ${explanation.inherited.mode})`);
+    }
+    if (explanation.own) {
+      addMatcherLines(lines, explanation.own, release, indent + 2);
+    } else if (!explanation.inherited) {
+      lines.push(`${pad}    (no matchers: only subcategories can contain releases)`);
+    }
+    if (explanation.pass) {
+      addVisibilityLines(lines, info, release, indent + 2);
+    }
+  }
+}
+
+/**
+ * Explain how the releases with a given tag or name are filtered and categorized:
+ * global include/exclude filters, the matchers of every category (nested match-any/match-all
+ * and inherited parent results included), and the cutoff-date/max-displayed rules that hide them
+ * @param {string} query - Tag or name of the release
+ * @param {Array} releases - All the fetched releases (before the include/exclude filters)
+ * @param {Object} config - Parsed configuration file
+ * @param {Object} defaults - Category defaults as passed to classifyReleases
+ * @param {Object} unmatchedConfig - Configuration of the unmatched releases
+ * @returns {Object} - { found, text }
+ */
+function explainRelease(query, releases, config, defaults, unmatchedConfig) {
+  const targets = findReleases(query, releases);
+  if (targets.length === 0) {
+    return {
+      found: false,
+      text: `No release with tag or name "${query}" found among the ${releases.length} fetched releases` +
+        ' (if it is an old release, site.max-releases may be excluding it)'
+    };
+  }
+
+  // Same global filters as the site generation
+  const filtered = releases.filter(r => passesGlobalFilters(r, config));
+
+  const events = [];
+  classifyReleases(filtered, config.categories || [], defaults, unmatchedConfig, info => events.push(info));
+
+  const lines = [];
+  for (const release of targets) {
+    if (lines.length > 0) lines.push('');
+    explainOne(lines, release, config, !filtered.includes(release), events);
+  }
+  return { found: true, text: lines.join('\n') };
+}
+
+module.exports = {
+  explainRelease
+};
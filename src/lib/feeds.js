@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('./config');
+
+// Feed formats: file extension, media type and name shown in the feed links
+const FEED_FORMATS = {
+  atom: { extension: 'atom', type: 'application/atom+xml', label: 'Atom' },
+  rss: { extension: 'rss', type: 'application/rss+xml', label: 'RSS' }
+};
+
+// ============================================================================
+// Atom and RSS Feeds
+// ============================================================================
+
+function escapeXml(text) {
+  if (text === undefined || text === null) return '';
+  const map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+  return String(text).replace(/[&<>"']/g, char => map[char]);
+}
+
+/**
+ * Path of the feed of a category, relative to the site root (e.g. "feeds/packages/ui.atom")
+ * @param {string} categoryId - Category ID (as assigned by assignCategoryIds, "category-unmatched" or "latest-page")
+ * @param {string} format - "atom" or "rss"
+ */
+function getFeedPath(categoryId, format) {
+  return `feeds/${categoryId}.${FEED_FORMATS[format].extension}`;
+}
+
+/**
+ * Title of the feed of each category of the tree: the path of the category (e.g. "Packages > UI"), so
+ * that the feeds of subcategories with the same name can be told apart
+ * @param {Array} tree - Classified categories, with IDs assigned
+ * @returns {Map} - Category ID -> feed title
+ */
+function getCategoryFeedTitles(tree, titles = new Map(), parentTitle = '') {
+  for (const category of tree) {
+    const title = parentTitle ? `${parentTitle} > ${category.name}` : category.name;
+    titles.set(category.id, title);
+    getCategoryFeedTitles(category.categories || [], titles, title);
+  }
+  return titles;
+}
+
+/**
+ * Get the feeds to generate: one per category of the tree (with the releases of its subcategories),
+ * one for the unmatched releases and one for the latest page, if they are displayed
+ * @param {Array} tree - Classified categories, with IDs assigned
+ * @param {Object|null} unmatched - { name, releases } of the unmatched releases, null if not displayed
+ * @param {Object|null} latest - { name, releases } of the latest page, null if not enabled
+ * @returns {Array} - Array of { id, title, releases }
+ */
+function collectFeeds(tree, unmatched, latest) {
+  const feeds = [];
+  if (latest) {
+    feeds.push({ id: 'latest-page', title: latest.name, releases: latest.releases });
+  }
+
+  // Releases of a category and its subcategories, a release being in several of them only once
+  const collectReleases = (category, releases) => {
+    for (const release of category.releases) {
+      if (!releases.has(release.id)) releases.set(release.id, release);
+    }
+    for (const sub of category.categories || []) {
+      collectReleases(sub, releases);
+    }
+    return releases;
+  };
+  const titles = getCategoryFeedTitles(tree);
+  const addCategories = categories => {
+    for (const category of categories) {
+      feeds.push({ id: category.id, title: titles.get(category.id), releases: [...collectReleases(category, new Map()).values()] });
+      addCategories(category.categories || []);
+    }
+  };
+  addCategories(tree);
+
+  if (unmatched) {
+    feeds.push({ id: 'category-unmatched', title: unmatched.name, releases: unmatched.releases });
+  }
+  return feeds;
+}
+
+/**
+ * URL of the page of a category: in the site if its URL is known, otherwise the releases of the repository
+ */
+function getCategoryPageUrl(categoryId) {
+  const { siteUrl } = CONFIG.feeds;
+  if (siteUrl) {
+    return CONFIG.multiPage && CONFIG.multiPage.enabled ? `${siteUrl}/${categoryId}` : `${siteUrl}/#${categoryId}`;
+  }
+  if (CONFIG.repo) return `${CONFIG.webUrl}/${CONFIG.repo}/releases`;
+  return CONFIG.repoUrl || null;
+}
+
+/**
+ * Newest releases of a feed (by publication date, whatever the sort order of the category)
+ */
+function getFeedItems(feed) {
+  const releases = [...feed.releases].sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  return CONFIG.feeds.maxItems ? releases.slice(0, CONFIG.feeds.maxItems) : releases;
+}
+
+/**
+ * Generate an Atom feed
+ * @param {Object} feed - { id, title, releases } (release bodies pre-rendered by preRenderAllMarkdown)
+ * @param {string} siteTitle - Title of the site
+ */
+function generateAtomFeed(feed, siteTitle) {
+  const items = getFeedItems(feed);
+  const { siteUrl } = CONFIG.feeds;
+  const pageUrl = getCategoryPageUrl(feed.id);
+  const feedUrl = siteUrl ? `${siteUrl}/${getFeedPath(feed.id, 'atom')}` : null;
+  const updated = items.length > 0 ? new Date(items[0].publishedAt) : new Date();
+
+  const entries = items.map(release => {
+    const author = release.author && release.author.login
+      ? `\n    <author><name>${escapeXml(release.author.login)}</name></author>`
+      : '';
+    return `  <entry>
+    <id>${escapeXml(release.url || `urn:release:${release.id}`)}</id>
+    <title>${escapeXml(release.name || release.tag)}</title>${release.url ? `\n    <link rel="alternate" type="text/html" href="${escapeXml(release.url)}"/>` : ''}
+    <published>${new Date(release.publishedAt).toISOString()}</published>
+    <updated>${new Date(release.publishedAt).toISOString()}</updated>${author}
+    <category term="${escapeXml(release.tag)}"/>
+    <content type="html">${escapeXml(release._renderedBody || '')}</content>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feedUrl || `urn:releases:${encodeURIComponent(siteTitle)}:${feed.id}`)}</id>
+  <title>${escapeXml(`${siteTitle} - ${feed.title}`)}</title>
+  <updated>${updated.toISOString()}</updated>${pageUrl ? `\n  <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}"/>` : ''}${feedUrl ? `\n  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>` : ''}
+  <generator uri="https://github.com/Konamiman/github-categorized-releases">GitHub Categorized Releases</generator>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Generate an RSS 2.0 feed
+ * @param {Object} feed - { id, title, releases } (release bodies pre-rendered by preRenderAllMarkdown)
+ * @param {string} siteTitle - Title of the site
+ */
+function generateRssFeed(feed, siteTitle) {
+  const items = getFeedItems(feed);
+  const { siteUrl } = CONFIG.feeds;
+  const pageUrl = getCategoryPageUrl(feed.id);
+  const feedUrl = siteUrl ? `${siteUrl}/${getFeedPath(feed.id, 'rss')}` : null;
+  const updated = items.length > 0 ? new Date(items[0].publishedAt) : new Date();
+
+  const entries = items.map(release => `    <item>
+      <title>${escapeXml(release.name || release.tag)}</title>${release.url ? `\n      <link>${escapeXml(release.url)}</link>` : ''}
+      <guid isPermaLink="${release.url ? 'true' : 'false'}">${escapeXml(release.url || `release-${release.id}`)}</guid>
+      <pubDate>${new Date(release.publishedAt).toUTCString()}</pubDate>
+      <category>${escapeXml(release.tag)}</category>
+      <description>${escapeXml(release._renderedBody || '')}</description>
+    </item>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(`${siteTitle} - ${feed.title}`)}</title>
+    <link>${escapeXml(pageUrl || siteUrl || '')}</link>
+    <description>${escapeXml(`Releases of ${feed.title}`)}</description>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>${feedUrl ? `\n    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feedUrl)}"/>` : ''}
+    <generator>GitHub Categorized Releases</generator>
+${entries.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Write the feeds of all the categories to the "feeds" directory of the site
+ * (must run after the HTML generation: it uses the category IDs and the pre-rendered release bodies)
+ * @param {string} outputDir - Site directory
+ * @param {Array} feeds - Feeds from collectFeeds
+ * @param {string} siteTitle - Title of the site
+ */
+function writeFeeds(outputDir, feeds, siteTitle) {
+  for (const feed of feeds) {
+    for (const format of CONFIG.feeds.formats) {
+      const filePath = path.join(outputDir, getFeedPath(feed.id, format));
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const content = format === 'rss' ? generateRssFeed(feed, siteTitle) : generateAtomFeed(feed, siteTitle);
+      fs.writeFileSync(filePath, content);
+    }
+  }
+  console.log(`Generated ${feeds.length} feed(s) (${CONFIG.feeds.formats.join(', ')})`);
+}
+
+module.exports = {
+  FEED_FORMATS,
+  getFeedPath,
+  getCategoryFeedTitles,
+  collectFeeds,
+  writeFeeds
+};
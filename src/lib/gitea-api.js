@@ -0,0 +1,141 @@
+const { githubFetch } = require('./http');
+
+// Maximum page size allowed by default by Gitea/Forgejo instances (API.MAX_RESPONSE_ITEMS)
+const GITEA_PER_PAGE = 50;
+
+// ============================================================================
+// Gitea/Forgejo Releases API
+// ============================================================================
+
+/**
+ * Perform a request to the Gitea/Forgejo API (retries and backoff are shared with the GitHub requests,
+ * but the GitHub token is never sent)
+ */
+async function giteaFetch(url, token) {
+  const headers = { 'Accept': 'application/json' };
+  if (token) {
+    headers['Authorization'] = `token ${token}`;
+  }
+
+  const response = await githubFetch(url, { headers, githubToken: false });
+  if (!response.ok) {
+    const hint = response.status === 404 ? ' (repository not found, or it is private and no token was provided)' : '';
+    throw new Error(`Gitea/Forgejo API error: ${response.status} ${response.statusText}${hint}`);
+  }
+  return response;
+}
+
+/**
+ * Map a release object from the Gitea/Forgejo API to the internal release format
+ * @param {Object} r - Release from the Gitea/Forgejo API
+ * @param {string} repo - Repository in owner/repo format
+ * @param {string} baseUrl - Instance base URL
+ * @param {string} platform - "gitea" or "forgejo"
+ */
+function mapGiteaRelease(r, repo, baseUrl, platform) {
+  const tag = encodeURIComponent(r.tag_name);
+  const uploadedAssets = (r.assets || []).map(a => ({
+    name: a.name,
+    url: a.browser_download_url,
+    size: a.size,
+    downloadCount: a.download_count
+  }));
+  const sourceAssets = [
+    {
+      name: 'Source code (zip)',
+      url: r.zipball_url || `${baseUrl}/${repo}/archive/${tag}.zip`,
+      size: null,
+      isSourceCode: true
+    },
+    {
+      name: 'Source code (tar.gz)',
+      url: r.tarball_url || `${baseUrl}/${repo}/archive/${tag}.tar.gz`,
+      size: null,
+      isSourceCode: true
+    }
+  ];
+
+  return {
+    id: `${platform}:${repo}:${r.id}`,
+    name: r.name || r.tag_name,
+    tag: r.tag_name,
+    // "url" is the API URL of the release, "html_url" the web page
+    url: r.html_url || `${baseUrl}/${repo}/releases/tag/${tag}`,
+    body: r.body || '',
+    prerelease: r.prerelease === true,
+    draft: r.draft === true,
+    // Drafts don't have a publication date
+    publishedAt: r.published_at || r.created_at,
+    author: r.author ? {
+      login: r.author.login,
+      avatarUrl: r.author.avatar_url,
+      url: r.author.html_url || `${baseUrl}/${r.author.login}`
+    } : null,
+    assets: [...uploadedAssets, ...sourceAssets],
+    reactions: null,
+    platform,
+    webUrl: baseUrl
+  };
+}
+
+/**
+ * Fetch releases from the releases API of a Gitea or Forgejo instance
+ * @param {number|false} maxReleases - Maximum number of releases to return (false = all)
+ * @param {string} repoName - Repository in owner/repo format
+ * @param {Object} options - { baseUrl, token, platform }
+ */
+async function fetchReleasesFromGitea(maxReleases = false, repoName, options = {}) {
+  if (!repoName) {
+    throw new Error('No repository specified');
+  }
+  if (!options.baseUrl) {
+    throw new Error('No Gitea/Forgejo instance URL specified');
+  }
+
+  const baseUrl = options.baseUrl.replace(/\/+$/, '');
+  const platform = options.platform || 'gitea';
+  const [owner, repo] = repoName.split('/');
+  const releases = [];
+  let page = 1;
+  let totalCount = 0;
+  let oldestExistingRelease = null;
+
+  while (true) {
+    const url = `${baseUrl}/api/v1/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/releases?page=${page}&limit=${GITEA_PER_PAGE}`;
+    const data = await (await giteaFetch(url, options.token)).json();
+
+    if (data.length === 0) break;
+
+    for (const r of data) {
+      totalCount++;
+      oldestExistingRelease = r;
+
+      if (maxReleases !== false && releases.length >= maxReleases) {
+        continue; // Keep counting but don't add more releases
+      }
+
+      releases.push(r);
+    }
+
+    // The instance may be configured with a smaller maximum page size, so only an empty page is conclusive
+    page++;
+  }
+
+  const mappedReleases = releases.map(r => mapGiteaRelease(r, repoName, baseUrl, platform));
+  const oldestListed = mappedReleases.length > 0 ? mappedReleases[mappedReleases.length - 1] : null;
+  const oldestExisting = oldestExistingRelease ? mapGiteaRelease(oldestExistingRelease, repoName, baseUrl, platform) : null;
+
+  return {
+    releases: mappedReleases,
+    totalCount,
+    listedCount: mappedReleases.length,
+    oldestListedDate: oldestListed ? oldestListed.publishedAt : null,
+    oldestListedUrl: oldestListed ? oldestListed.url : null,
+    oldestExistingDate: oldestExisting ? oldestExisting.publishedAt : null,
+    oldestExistingUrl: oldestExisting ? oldestExisting.url : null
+  };
+}
+
+module.exports = {
+  fetchReleasesFromGitea
+};
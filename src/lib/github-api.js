@@ -1,5 +1,12 @@
 const fs = require('fs');
 const { CONFIG } = require('./config');
+const { githubFetch } = require('./http');
+
+// Maximum page size allowed by the GitHub releases API
+const RELEASES_PER_PAGE = 100;
+
+// Format version of the "cache" section in release cache files
+const CACHE_VERSION = 1;
 
 // ============================================================================
 // GitHub API & Releases Data
@@ -13,13 +20,13 @@ function getSourceCodeAssets(repo, tag) {
   return [
     {
       name: 'Source code (zip)',
-      url: `https://github.com/${repo}/archive/refs/tags/${tag}.zip`,
+      url: `${CONFIG.webUrl}/${repo}/archive/refs/tags/${tag}.zip`,
       size: null,
       isSourceCode: true
     },
     {
       name: 'Source code (tar.gz)',
-      url: `https://github.com/${repo}/archive/refs/tags/${tag}.tar.gz`,
+      url: `${CONFIG.webUrl}/${repo}/archive/refs/tags/${tag}.tar.gz`,
       size: null,
       isSourceCode: true
     }
@@ -45,14 +52,10 @@ function loadReleasesFromFile(filePath) {
     throw new Error(`Invalid releases file format: expected array or { releases: [...] }`);
   }
 
-  // Use repository from file if not specified via CLI
-  if (!CONFIG.repo && data.repository) {
-    CONFIG.repo = data.repository;
-  }
-
   const oldestListed = releases.length > 0 ? releases[releases.length - 1] : null;
 
   return {
+    repository: data.repository || null,
     releases,
     totalCount: releases.length,
     listedCount: releases.length,
@@ -63,61 +66,164 @@ function loadReleasesFromFile(filePath) {
   };
 }
 
+/**
+ * Remove source code assets from a release (they're auto-generated on load)
+ */
+function withoutSourceAssets(release) {
+  return {
+    ...release,
+    assets: (release.assets || []).filter(a => !a.isSourceCode)
+  };
+}
+
 /**
  * Save releases data to a JSON file for caching
+ * @param {Object} releaseData - Releases data as returned by the fetch functions
+ * @param {string} filePath - Destination file
+ * @param {Object|null} cacheInfo - Page validators to store when writing the release cache (--cache-file)
+ * @param {string} repository - Repository the releases belong to
  */
-function saveReleasesToFile(releaseData, filePath) {
+function saveReleasesToFile(releaseData, filePath, cacheInfo = null, repository = CONFIG.repo) {
   console.log(`Saving releases to ${filePath}...`);
 
-  // Filter out source code assets (they're auto-generated on load)
-  const releasesWithoutSourceAssets = releaseData.releases.map(r => ({
-    ...r,
-    assets: (r.assets || []).filter(a => !a.isSourceCode)
-  }));
-
   const output = {
     savedAt: new Date().toISOString(),
-    repository: CONFIG.repo,
+    repository,
     totalCount: releaseData.totalCount,
     listedCount: releaseData.listedCount,
-    releases: releasesWithoutSourceAssets
+    releases: releaseData.releases.map(withoutSourceAssets)
   };
+  if (cacheInfo) {
+    output.cache = cacheInfo;
+  }
   fs.writeFileSync(filePath, JSON.stringify(output, null, 2));
 }
 
+/**
+ * Map a release object from the GitHub REST API to the internal release format
+ */
+function mapApiRelease(r, repo) {
+  const uploadedAssets = (r.assets || []).map(a => ({
+    name: a.name,
+    url: a.browser_download_url,
+    size: a.size,
+    downloadCount: a.download_count
+  }));
+  const sourceAssets = getSourceCodeAssets(repo, r.tag_name);
+
+  return {
+    id: r.id,
+    name: r.name || r.tag_name,
+    tag: r.tag_name,
+    url: r.html_url,
+    body: r.body || '',
+    prerelease: r.prerelease,
+    draft: r.draft,
+    publishedAt: r.published_at,
+    author: r.author ? {
+      login: r.author.login,
+      avatarUrl: r.author.avatar_url,
+      url: r.author.html_url
+    } : null,
+    assets: [...uploadedAssets, ...sourceAssets],
+    reactions: r.reactions ? {
+      '+1': r.reactions['+1'] || 0,
+      '-1': r.reactions['-1'] || 0,
+      laugh: r.reactions.laugh || 0,
+      hooray: r.reactions.hooray || 0,
+      confused: r.reactions.confused || 0,
+      heart: r.reactions.heart || 0,
+      rocket: r.reactions.rocket || 0,
+      eyes: r.reactions.eyes || 0,
+      total_count: r.reactions.total_count || 0
+    } : null
+  };
+}
+
+/**
+ * Fetch one page of releases from the GitHub API
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} page - Page number (1-based)
+ * @param {Object|null} validators - { etag, lastModified } from a previous response, for a conditional request
+ * @returns {Object} - { notModified, data, etag, lastModified }
+ */
+async function fetchReleasesPage(owner, repo, page, validators = null) {
+  const url = `${CONFIG.apiUrl}/repos/${owner}/${repo}/releases?page=${page}&per_page=${RELEASES_PER_PAGE}`;
+  const headers = {};
+
+  if (validators) {
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  }
+
+  const response = await githubFetch(url, { headers });
+
+  // 304 means the page didn't change since the validators were obtained
+  if (response.status === 304) {
+    return { notModified: true, data: null, etag: validators.etag, lastModified: validators.lastModified };
+  }
+
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+
+  return {
+    notModified: false,
+    data: await response.json(),
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified')
+  };
+}
+
+/**
+ * Build the value returned by the fetch functions from the full (newest first) list of releases
+ */
+function buildReleaseData(allReleases, maxReleases) {
+  const releases = maxReleases !== false ? allReleases.slice(0, maxReleases) : allReleases;
+  const oldestListed = releases.length > 0 ? releases[releases.length - 1] : null;
+  const oldestExisting = allReleases.length > 0 ? allReleases[allReleases.length - 1] : null;
+
+  return {
+    releases,
+    totalCount: allReleases.length,
+    listedCount: releases.length,
+    oldestListedDate: oldestListed ? oldestListed.publishedAt : null,
+    oldestListedUrl: oldestListed ? oldestListed.url : null,
+    oldestExistingDate: oldestExisting ? oldestExisting.publishedAt : null,
+    oldestExistingUrl: oldestExisting ? oldestExisting.url : null
+  };
+}
+
 /**
  * Fetch releases from GitHub API
+ * @param {number|false} maxReleases - Maximum number of releases to return (false = all)
+ * @param {string} repoName - Repository in owner/repo format
+ * @param {string|null} cacheFile - Release cache file to use (see fetchReleasesWithCache)
  */
-async function fetchReleasesFromApi(maxReleases = false) {
-  if (!CONFIG.repo) {
+async function fetchReleasesFromApi(maxReleases = false, repoName = CONFIG.repo, cacheFile = CONFIG.cacheFile) {
+  if (!repoName) {
     throw new Error('No repository specified. Use --repo option.');
   }
 
-  const [owner, repo] = CONFIG.repo.split('/');
+  if (CONFIG.api === 'graphql') {
+    // Required here to avoid a circular dependency at load time
+    const { fetchReleasesFromGraphQL } = require('./github-graphql');
+    return fetchReleasesFromGraphQL(maxReleases, repoName);
+  }
+
+  if (cacheFile) {
+    return fetchReleasesWithCache(maxReleases, repoName, cacheFile);
+  }
+
+  const [owner, repo] = repoName.split('/');
   const releases = [];
   let page = 1;
-  const perPage = 100;
   let totalCount = 0;
   let oldestExistingRelease = null;
 
   while (true) {
-    const url = `https://api.github.com/repos/${owner}/${repo}/releases?page=${page}&per_page=${perPage}`;
-    const headers = {
-      'Accept': 'application/vnd.github+json',
-      'User-Agent': 'github-categorized-releases'
-    };
-
-    if (CONFIG.token) {
-      headers['Authorization'] = `token ${CONFIG.token}`;
-    }
-
-    const response = await fetch(url, { headers });
-
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+    const { data } = await fetchReleasesPage(owner, repo, page);
 
     if (data.length === 0) break;
 
@@ -132,46 +238,11 @@ async function fetchReleasesFromApi(maxReleases = false) {
       releases.push(r);
     }
 
-    if (data.length < perPage) break;
+    if (data.length < RELEASES_PER_PAGE) break;
     page++;
   }
 
-  const mappedReleases = releases.map(r => {
-    const uploadedAssets = (r.assets || []).map(a => ({
-      name: a.name,
-      url: a.browser_download_url,
-      size: a.size
-    }));
-    const sourceAssets = getSourceCodeAssets(CONFIG.repo, r.tag_name);
-
-    return {
-      id: r.id,
-      name: r.name || r.tag_name,
-      tag: r.tag_name,
-      url: r.html_url,
-      body: r.body || '',
-      prerelease: r.prerelease,
-      draft: r.draft,
-      publishedAt: r.published_at,
-      author: r.author ? {
-        login: r.author.login,
-        avatarUrl: r.author.avatar_url,
-        url: r.author.html_url
-      } : null,
-      assets: [...uploadedAssets, ...sourceAssets],
-      reactions: r.reactions ? {
-        '+1': r.reactions['+1'] || 0,
-        '-1': r.reactions['-1'] || 0,
-        laugh: r.reactions.laugh || 0,
-        hooray: r.reactions.hooray || 0,
-        confused: r.reactions.confused || 0,
-        heart: r.reactions.heart || 0,
-        rocket: r.reactions.rocket || 0,
-        eyes: r.reactions.eyes || 0,
-        total_count: r.reactions.total_count || 0
-      } : null
-    };
-  });
+  const mappedReleases = releases.map(r => mapApiRelease(r, repoName));
 
   const oldestListed = mappedReleases.length > 0 ? mappedReleases[mappedReleases.length - 1] : null;
 
@@ -186,6 +257,140 @@ async function fetchReleasesFromApi(maxReleases = false) {
   };
 }
 
+// ============================================================================
+// Release Cache
+// ============================================================================
+
+/**
+ * Load the release cache file (same format as --save-releases plus a "cache" section).
+ * Returns null if the file doesn't exist or can't be used for the current repository.
+ * @returns {Object|null} - { releases, pages }
+ */
+function loadReleaseCache(filePath, repoName) {
+  if (!fs.existsSync(filePath)) {
+    console.log(`Release cache ${filePath} not found, fetching all releases`);
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    console.warn(`Ignoring unreadable release cache ${filePath}: ${err.message}`);
+    return null;
+  }
+
+  if (!data || !Array.isArray(data.releases) || !data.cache || data.cache.version !== CACHE_VERSION) {
+    console.warn(`Ignoring release cache ${filePath}: unknown format`);
+    return null;
+  }
+  if (data.repository !== repoName) {
+    console.warn(`Ignoring release cache ${filePath}: it belongs to ${data.repository}, not ${repoName}`);
+    return null;
+  }
+  if (data.cache.perPage !== RELEASES_PER_PAGE) {
+    console.warn(`Ignoring release cache ${filePath}: it was created with a different page size`);
+    return null;
+  }
+
+  return { releases: data.releases, pages: data.cache.pages || [] };
+}
+
+/**
+ * Check if a freshly fetched release differs from its cached copy
+ */
+function isReleaseModified(fetched, cached) {
+  return JSON.stringify(withoutSourceAssets(fetched)) !== JSON.stringify(cached);
+}
+
+/**
+ * Fetch releases using the on-disk release cache (--cache-file).
+ *
+ * Pages are requested newest first, with conditional requests (If-None-Match / If-Modified-Since)
+ * for pages that have validators in the cache. Fetching stops at the first page that contains
+ * an already cached release: from that point on the cached list is reused. New releases are
+ * added, and cached releases seen in the fetched pages are updated (edited) or dropped (deleted).
+ *
+ * With --refresh-cache every page is fetched unconditionally and the cache is rebuilt from scratch
+ * (changes to old releases are only detected this way).
+ */
+async function fetchReleasesWithCache(maxReleases, repoName, cacheFile) {
+  const [owner, repo] = repoName.split('/');
+  const cache = CONFIG.refreshCache ? null : loadReleaseCache(cacheFile, repoName);
+  const previous = cache || (CONFIG.refreshCache && fs.existsSync(cacheFile) ? loadReleaseCache(cacheFile, repoName) : null);
+
+  const cachedReleases = cache ? cache.releases : [];
+  const cachedIndex = new Map(cachedReleases.map((r, i) => [r.id, i]));
+  const cachedPages = cache ? cache.pages : [];
+
+  const fetchedReleases = [];
+  const pages = [];
+  let remainingReleases = [];
+  let notModifiedCount = 0;
+  let page = 1;
+
+  while (true) {
+    const cachedPage = cachedPages[page - 1] || null;
+    const result = await fetchReleasesPage(owner, repo, page, cachedPage);
+
+    let pageReleases;
+    if (result.notModified) {
+      notModifiedCount++;
+      pageReleases = cachedPage.ids.map(id => cachedReleases[cachedIndex.get(id)]);
+    } else {
+      pageReleases = result.data.map(r => withoutSourceAssets(mapApiRelease(r, repoName)));
+    }
+
+    fetchedReleases.push(...pageReleases);
+    pages.push({ etag: result.etag, lastModified: result.lastModified, ids: pageReleases.map(r => r.id) });
+
+    // Short page = end of the list
+    if (pageReleases.length < RELEASES_PER_PAGE) break;
+
+    // Reached already cached releases: the rest of the list is taken from the cache
+    const knownIndexes = pageReleases.filter(r => cachedIndex.has(r.id)).map(r => cachedIndex.get(r.id));
+    if (knownIndexes.length > 0) {
+      remainingReleases = cachedReleases.slice(Math.max(...knownIndexes) + 1);
+      break;
+    }
+
+    page++;
+  }
+
+  // Compute changes against the cache (or the previous cache when refreshing)
+  const reference = previous ? previous.releases : [];
+  const referenceById = new Map(reference.map(r => [r.id, r]));
+  const fetchedIds = new Set(fetchedReleases.map(r => r.id));
+  const coveredCount = cache ? reference.length - remainingReleases.length : reference.length;
+  const added = fetchedReleases.filter(r => !referenceById.has(r.id)).length;
+  const edited = fetchedReleases.filter(r => referenceById.has(r.id) && isReleaseModified(r, referenceById.get(r.id))).length;
+  const deleted = reference.slice(0, coveredCount).filter(r => !fetchedIds.has(r.id)).length;
+
+  const allReleases = [...fetchedReleases, ...remainingReleases];
+
+  // Keep validators of non-fetched pages only if their contents didn't shift
+  for (let i = pages.length; i < cachedPages.length; i++) {
+    const ids = allReleases.slice(i * RELEASES_PER_PAGE, (i + 1) * RELEASES_PER_PAGE).map(r => r.id);
+    if (ids.length !== cachedPages[i].ids.length || ids.some((id, j) => id !== cachedPages[i].ids[j])) break;
+    pages.push(cachedPages[i]);
+  }
+
+  const modeText = CONFIG.refreshCache ? 'full refresh' : (cache ? 'incremental' : 'initial fetch');
+  console.log(`Release cache (${modeText}): ${page} page(s) requested, ${notModifiedCount} not modified; ${added} new, ${edited} edited, ${deleted} deleted`);
+
+  saveReleasesToFile(
+    { releases: allReleases, totalCount: allReleases.length, listedCount: allReleases.length },
+    cacheFile,
+    { version: CACHE_VERSION, perPage: RELEASES_PER_PAGE, pages },
+    repoName
+  );
+
+  return buildReleaseData(allReleases.map(r => ({
+    ...r,
+    assets: [...(r.assets || []), ...getSourceCodeAssets(repoName, r.tag)]
+  })), maxReleases);
+}
+
 /**
  * Main function to get releases - from file or API based on config
  */
@@ -197,10 +402,27 @@ async function fetchAllReleases(maxReleases = false) {
 
   let releaseData;
 
-  if (CONFIG.releasesFile) {
+  if (CONFIG.releasesDir) {
+    // Required here to avoid a circular dependency at load time
+    const { loadReleasesFromDir } = require('./releases-dir');
+    releaseData = loadReleasesFromDir(CONFIG.releasesDir);
+
+    if (maxReleases !== false && releaseData.releases.length > maxReleases) {
+      releaseData.releases = releaseData.releases.slice(0, maxReleases);
+      releaseData.listedCount = releaseData.releases.length;
+      const oldestListed = releaseData.releases[releaseData.releases.length - 1];
+      releaseData.oldestListedDate = oldestListed ? oldestListed.publishedAt : null;
+      releaseData.oldestListedUrl = oldestListed ? oldestListed.url : null;
+    }
+  } else if (CONFIG.releasesFile) {
     // Load from local file
     releaseData = loadReleasesFromFile(CONFIG.releasesFile);
 
+    // Use repository from file if not specified via CLI
+    if (!CONFIG.repo && releaseData.repository) {
+      CONFIG.repo = releaseData.repository;
+    }
+
     // Add source code assets to releases (now that CONFIG.repo is set)
     if (CONFIG.repo) {
       releaseData.releases = releaseData.releases.map(r => ({
@@ -222,40 +444,39 @@ async function fetchAllReleases(maxReleases = false) {
     releaseData = await fetchReleasesFromApi(maxReleases);
   }
 
+  // Tag releases with their origin repository (used by the "repo" matcher)
+  if (CONFIG.repo) {
+    releaseData.releases = releaseData.releases.map(r => ({ ...r, repo: r.repo || CONFIG.repo }));
+  }
+
   return releaseData;
 }
 
 /**
  * Render markdown using GitHub's API
  * Returns HTML string
+ * @param {string} markdown - Markdown to render
+ * @param {string|null} repo - Repository used as context for autolinks (issues, commits)
  */
-async function renderMarkdownViaGitHub(markdown) {
+async function renderMarkdownViaGitHub(markdown, repo = CONFIG.repo) {
   if (!markdown) return '';
 
-  const headers = {
-    'Accept': 'application/vnd.github+json',
-    'User-Agent': 'github-categorized-releases',
-    'Content-Type': 'application/json'
-  };
-
-  if (CONFIG.token) {
-    headers['Authorization'] = `token ${CONFIG.token}`;
-  }
-
   const body = {
     text: markdown,
     mode: 'gfm'
   };
 
   // Add repository context for autolinks if available
-  if (CONFIG.repo) {
-    body.context = CONFIG.repo;
+  if (repo) {
+    body.context = repo;
   }
 
-  const response = await fetch('https://api.github.com/markdown', {
+  // Rendering has no side effects, so it's safe to retry
+  const response = await githubFetch(`${CONFIG.apiUrl}/markdown`, {
     method: 'POST',
-    headers,
-    body: JSON.stringify(body)
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    idempotent: true
   });
 
   if (!response.ok) {
@@ -266,6 +487,7 @@ async function renderMarkdownViaGitHub(markdown) {
 }
 
 module.exports = {
+  getSourceCodeAssets,
   fetchAllReleases,
   loadReleasesFromFile,
   saveReleasesToFile,
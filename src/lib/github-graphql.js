@@ -0,0 +1,235 @@
+const { CONFIG } = require('./config');
+const { getSourceCodeAssets } = require('./github-api');
+const { githubFetch } = require('./http');
+
+// ============================================================================
+// GitHub GraphQL API
+// ============================================================================
+
+// Releases per query page (each release carries its rendered HTML and up to 100 assets)
+const GRAPHQL_PAGE_SIZE = 50;
+
+// Assets per query page (releases with more assets get the rest with RELEASE_ASSETS_QUERY)
+const ASSETS_PAGE_SIZE = 100;
+
+const ASSET_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  nodes { name downloadUrl size downloadCount }
+`;
+
+const RELEASE_FIELDS = `
+  databaseId
+  name
+  tagName
+  url
+  description
+  descriptionHTML
+  isPrerelease
+  isDraft
+  publishedAt
+  author { login avatarUrl url }
+  releaseAssets(first: ${ASSETS_PAGE_SIZE}) { ${ASSET_FIELDS} }
+  reactionGroups {
+    content
+    reactors { totalCount }
+  }
+`;
+
+const RELEASES_QUERY = `
+  query($owner: String!, $name: String!, $pageSize: Int!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      releases(first: $pageSize, after: $cursor, orderBy: { field: CREATED_AT, direction: DESC }) {
+        totalCount
+        pageInfo { hasNextPage endCursor }
+        nodes { ${RELEASE_FIELDS} }
+      }
+    }
+  }
+`;
+
+const RELEASE_ASSETS_QUERY = `
+  query($owner: String!, $name: String!, $tag: String!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      release(tagName: $tag) {
+        releaseAssets(first: ${ASSETS_PAGE_SIZE}, after: $cursor) { ${ASSET_FIELDS} }
+      }
+    }
+  }
+`;
+
+const OLDEST_RELEASE_QUERY = `
+  query($owner: String!, $name: String!) {
+    repository(owner: $owner, name: $name) {
+      releases(last: 1, orderBy: { field: CREATED_AT, direction: DESC }) {
+        nodes { publishedAt url }
+      }
+    }
+  }
+`;
+
+// GraphQL reaction content values mapped to the REST API reaction keys
+const REACTION_KEYS = {
+  THUMBS_UP: '+1',
+  THUMBS_DOWN: '-1',
+  LAUGH: 'laugh',
+  HOORAY: 'hooray',
+  CONFUSED: 'confused',
+  HEART: 'heart',
+  ROCKET: 'rocket',
+  EYES: 'eyes'
+};
+
+/**
+ * Run a GraphQL query against the GitHub API and return the "data" part of the response
+ */
+async function runGraphQLQuery(query, variables) {
+  if (!CONFIG.token) {
+    throw new Error('The GitHub GraphQL API requires a token. Use --token or the GITHUB_TOKEN environment variable.');
+  }
+
+  // Only queries are sent, so it's safe to retry
+  const response = await githubFetch(CONFIG.graphqlUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `bearer ${CONFIG.token}`
+    },
+    body: JSON.stringify({ query, variables }),
+    idempotent: true
+  });
+
+  if (!response.ok) {
+    throw new Error(`GitHub GraphQL API error: ${response.status} ${response.statusText}`);
+  }
+
+  const result = await response.json();
+  if (result.errors && result.errors.length > 0) {
+    throw new Error(`GitHub GraphQL API error: ${result.errors.map(e => e.message).join('; ')}`);
+  }
+
+  return result.data;
+}
+
+/**
+ * Fetch the assets of a release beyond the first page (the REST API backend returns all of them)
+ */
+async function fetchRemainingAssets(release, owner, name) {
+  let connection = release.releaseAssets;
+  while (connection.pageInfo.hasNextPage) {
+    const data = await runGraphQLQuery(RELEASE_ASSETS_QUERY, { owner, name, tag: release.tagName, cursor: connection.pageInfo.endCursor });
+    if (!data.repository || !data.repository.release) break;
+    connection = data.repository.release.releaseAssets;
+    release.releaseAssets.nodes.push(...connection.nodes);
+  }
+}
+
+/**
+ * Map a release node from the GraphQL API to the internal release format
+ * (the same format produced by the REST API backend, plus the server-rendered body)
+ */
+function mapGraphQLRelease(r, repo) {
+  const uploadedAssets = ((r.releaseAssets && r.releaseAssets.nodes) || []).map(a => ({
+    name: a.name,
+    url: a.downloadUrl,
+    size: a.size,
+    downloadCount: a.downloadCount
+  }));
+  const sourceAssets = getSourceCodeAssets(repo, r.tagName);
+
+  let reactions = null;
+  if (r.reactionGroups && r.reactionGroups.length > 0) {
+    reactions = { total_count: 0 };
+    for (const key of Object.values(REACTION_KEYS)) {
+      reactions[key] = 0;
+    }
+    for (const group of r.reactionGroups) {
+      const key = REACTION_KEYS[group.content];
+      if (!key) continue;
+      reactions[key] = group.reactors.totalCount;
+      reactions.total_count += group.reactors.totalCount;
+    }
+  }
+
+  return {
+    id: r.databaseId,
+    name: r.name || r.tagName,
+    tag: r.tagName,
+    url: r.url,
+    body: r.description || '',
+    bodyHtml: r.descriptionHTML || '',
+    prerelease: r.isPrerelease,
+    draft: r.isDraft,
+    publishedAt: r.publishedAt,
+    author: r.author ? {
+      login: r.author.login,
+      avatarUrl: r.author.avatarUrl,
+      url: r.author.url
+    } : null,
+    assets: [...uploadedAssets, ...sourceAssets],
+    reactions
+  };
+}
+
+/**
+ * Fetch releases from the GitHub GraphQL API (--api graphql).
+ * Releases, assets, reactions, author and rendered body are all retrieved in one paginated query
+ * (plus one query per additional page of assets, for releases with more than 100 assets).
+ */
+async function fetchReleasesFromGraphQL(maxReleases = false, repoName = CONFIG.repo) {
+  if (!repoName) {
+    throw new Error('No repository specified. Use --repo option.');
+  }
+
+  const [owner, name] = repoName.split('/');
+  const releases = [];
+  let totalCount = 0;
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage && (maxReleases === false || releases.length < maxReleases)) {
+    const pageSize = maxReleases === false ? GRAPHQL_PAGE_SIZE : Math.min(GRAPHQL_PAGE_SIZE, maxReleases - releases.length);
+    const data = await runGraphQLQuery(RELEASES_QUERY, { owner, name, pageSize, cursor });
+
+    if (!data.repository) {
+      throw new Error(`Repository not found: ${repoName}`);
+    }
+
+    const connection = data.repository.releases;
+    totalCount = connection.totalCount;
+    releases.push(...connection.nodes);
+    hasNextPage = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+  }
+
+  for (const release of releases) {
+    if (release.releaseAssets && release.releaseAssets.pageInfo.hasNextPage) {
+      await fetchRemainingAssets(release, owner, name);
+    }
+  }
+
+  const mappedReleases = releases.map(r => mapGraphQLRelease(r, repoName));
+  const oldestListed = mappedReleases.length > 0 ? mappedReleases[mappedReleases.length - 1] : null;
+
+  // The oldest existing release wasn't fetched if we stopped early: ask for it separately
+  let oldestExisting = oldestListed;
+  if (hasNextPage) {
+    const data = await runGraphQLQuery(OLDEST_RELEASE_QUERY, { owner, name });
+    const node = data.repository.releases.nodes[0];
+    oldestExisting = node ? { publishedAt: node.publishedAt, url: node.url } : null;
+  }
+
+  return {
+    releases: mappedReleases,
+    totalCount,
+    listedCount: mappedReleases.length,
+    oldestListedDate: oldestListed ? oldestListed.publishedAt : null,
+    oldestListedUrl: oldestListed ? oldestListed.url : null,
+    oldestExistingDate: oldestExisting ? oldestExisting.publishedAt : null,
+    oldestExistingUrl: oldestExisting ? oldestExisting.url : null
+  };
+}
+
+module.exports = {
+  runGraphQLQuery,
+  fetchReleasesFromGraphQL
+};
@@ -0,0 +1,143 @@
+const { githubFetch } = require('./http');
+
+// Maximum page size allowed by the GitLab API
+const GITLAB_PER_PAGE = 100;
+
+const DEFAULT_GITLAB_URL = 'https://gitlab.com';
+
+// ============================================================================
+// GitLab Releases API
+// ============================================================================
+
+/**
+ * Perform a request to the GitLab API (retries and backoff are shared with the GitHub requests,
+ * but the GitHub token is never sent)
+ */
+async function gitlabFetch(url, token) {
+  const headers = { 'Accept': 'application/json' };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const response = await githubFetch(url, { headers, githubToken: false });
+  if (!response.ok) {
+    const hint = response.status === 404 ? ' (project not found, or it is private and no token was provided)' : '';
+    throw new Error(`GitLab API error: ${response.status} ${response.statusText}${hint}`);
+  }
+  return response;
+}
+
+/**
+ * Map a release object from the GitLab API to the internal release format
+ * @param {Object} r - Release from the GitLab API
+ * @param {Object} project - { path, webUrl } of the project
+ * @param {string} baseUrl - GitLab instance base URL
+ */
+function mapGitLabRelease(r, project, baseUrl) {
+  const assets = (r.assets && r.assets.links) || [];
+  const sources = (r.assets && r.assets.sources) || [];
+
+  // Uploaded files are linked relative to the project
+  const body = (r.description || '').replace(/\]\(\/uploads\//g, `](${project.webUrl}/uploads/`);
+
+  return {
+    id: `gitlab:${project.path}:${r.tag_name}`,
+    name: r.name || r.tag_name,
+    tag: r.tag_name,
+    url: (r._links && r._links.self) || `${project.webUrl}/-/releases/${encodeURIComponent(r.tag_name)}`,
+    body,
+    // GitLab has no prerelease flag, releases scheduled for the future are the closest thing
+    prerelease: r.upcoming_release === true,
+    draft: false,
+    publishedAt: r.released_at || r.created_at,
+    author: r.author ? {
+      login: r.author.username,
+      avatarUrl: r.author.avatar_url,
+      url: r.author.web_url
+    } : null,
+    assets: [
+      ...assets.map(a => ({
+        name: a.name,
+        url: a.direct_asset_url || a.url,
+        size: null
+      })),
+      ...sources.map(s => ({
+        name: `Source code (${s.format})`,
+        url: s.url,
+        size: null,
+        isSourceCode: true
+      }))
+    ],
+    reactions: null,
+    platform: 'gitlab',
+    webUrl: baseUrl
+  };
+}
+
+/**
+ * Fetch releases from the GitLab Releases API
+ * @param {number|false} maxReleases - Maximum number of releases to return (false = all)
+ * @param {string|number} projectId - Project ID or full path (group/subgroup/project)
+ * @param {Object} options - { baseUrl, token }
+ */
+async function fetchReleasesFromGitLab(maxReleases = false, projectId, options = {}) {
+  if (!projectId) {
+    throw new Error('No GitLab project specified');
+  }
+
+  const baseUrl = (options.baseUrl || DEFAULT_GITLAB_URL).replace(/\/+$/, '');
+  const projectUrl = `${baseUrl}/api/v4/projects/${encodeURIComponent(projectId)}`;
+
+  // Resolve the project path and web URL (the project may be given by numeric ID)
+  const projectInfo = await (await gitlabFetch(projectUrl, options.token)).json();
+  const project = {
+    path: projectInfo.path_with_namespace,
+    webUrl: projectInfo.web_url || `${baseUrl}/${projectInfo.path_with_namespace}`
+  };
+
+  const releases = [];
+  let page = 1;
+  let totalCount = 0;
+  let oldestExistingRelease = null;
+
+  while (true) {
+    const url = `${projectUrl}/releases?order_by=released_at&sort=desc&page=${page}&per_page=${GITLAB_PER_PAGE}`;
+    const data = await (await gitlabFetch(url, options.token)).json();
+
+    if (data.length === 0) break;
+
+    for (const r of data) {
+      totalCount++;
+      oldestExistingRelease = r;
+
+      if (maxReleases !== false && releases.length >= maxReleases) {
+        continue; // Keep counting but don't add more releases
+      }
+
+      releases.push(r);
+    }
+
+    if (data.length < GITLAB_PER_PAGE) break;
+    page++;
+  }
+
+  const mappedReleases = releases.map(r => mapGitLabRelease(r, project, baseUrl));
+  const oldestListed = mappedReleases.length > 0 ? mappedReleases[mappedReleases.length - 1] : null;
+  const oldestExisting = oldestExistingRelease ? mapGitLabRelease(oldestExistingRelease, project, baseUrl) : null;
+
+  return {
+    repository: project.path,
+    releases: mappedReleases,
+    totalCount,
+    listedCount: mappedReleases.length,
+    oldestListedDate: oldestListed ? oldestListed.publishedAt : null,
+    oldestListedUrl: oldestListed ? oldestListed.url : null,
+    oldestExistingDate: oldestExisting ? oldestExisting.publishedAt : null,
+    oldestExistingUrl: oldestExisting ? oldestExisting.url : null
+  };
+}
+
+module.exports = {
+  DEFAULT_GITLAB_URL,
+  fetchReleasesFromGitLab
+};
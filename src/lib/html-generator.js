@@ -5,6 +5,24 @@ const { markedHighlight } = require('marked-highlight');
 const hljs = require('highlight.js');
 const { CONFIG, isUrl, fetchUrl } = require('./config');
 const { renderMarkdownViaGitHub } = require('./github-api');
+const { ensureRateLimitBudget } = require('./http');
+const { FEED_FORMATS, getFeedPath, getCategoryFeedTitles } = require('./feeds');
+
+// Display names of the platforms releases can come from
+const PLATFORM_NAMES = {
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  gitea: 'Gitea',
+  forgejo: 'Forgejo'
+};
+
+// Context for the autolinks of the markdown being rendered: { repo, webUrl, platform }
+// (the origin of the release when aggregating several sources, see getMarkdownContext)
+let autolinkContext = null;
+
+function getAutolinkContext() {
+  return autolinkContext || { repo: CONFIG.repo, webUrl: CONFIG.webUrl, platform: 'github' };
+}
 
 // GitHub-style autolink extension for marked
 const githubAutolinks = {
@@ -16,15 +34,22 @@ const githubAutolinks = {
     const hashMatch = src.match(/(?:^|[^&\w/])#(?!\d+;)/);
     const atMatch = src.match(/(?:^|[^\w])@(?![/])/);
     const repoIssueMatch = src.match(/[\w.-]+\/[\w.-]+#(?!\d+;)/);
+    // GitLab merge request references: !123
+    const mergeRequestMatch = getAutolinkContext().platform === 'gitlab' ? src.match(/(?:^|[^\w!])!\d/) : null;
 
     const positions = [];
     if (hashMatch) positions.push(hashMatch.index + (hashMatch[0].length - 1));
     if (atMatch) positions.push(atMatch.index + (atMatch[0].length - 1));
     if (repoIssueMatch) positions.push(repoIssueMatch.index);
+    if (mergeRequestMatch) positions.push(mergeRequestMatch.index + (mergeRequestMatch[0].length - 2));
 
     return positions.length > 0 ? Math.min(...positions) : -1;
   },
   tokenizer(src, tokens) {
+    const context = getAutolinkContext();
+    // GitLab puts issues and merge requests under /-/
+    const issuesPath = context.platform === 'gitlab' ? '-/issues' : 'issues';
+
     // Cross-repo issue reference: owner/repo#123
     const repoIssueRule = /^([\w.-]+\/[\w.-]+)#(\d+)/;
     let match = repoIssueRule.exec(src);
@@ -32,7 +57,19 @@ const githubAutolinks = {
       return {
         type: 'githubAutolinks',
         raw: match[0],
-        href: `https://github.com/${match[1]}/issues/${match[2]}`,
+        href: `${context.webUrl}/${match[1]}/${issuesPath}/${match[2]}`,
+        text: match[0]
+      };
+    }
+
+    // GitLab merge request reference: !123
+    const mergeRequestRule = /^!(\d+)\b/;
+    match = mergeRequestRule.exec(src);
+    if (match && context.platform === 'gitlab' && context.repo) {
+      return {
+        type: 'githubAutolinks',
+        raw: match[0],
+        href: `${context.webUrl}/${context.repo}/-/merge_requests/${match[1]}`,
         text: match[0]
       };
     }
@@ -41,7 +78,7 @@ const githubAutolinks = {
     // Skip if it looks like an HTML entity (e.g., &#8203;)
     const issueRule = /^#(\d+)\b/;
     match = issueRule.exec(src);
-    if (match && CONFIG.repo) {
+    if (match && context.repo) {
       // Check if this is an HTML entity (digits followed by ;)
       const afterMatch = src.substring(match[0].length);
       if (afterMatch.startsWith(';')) {
@@ -50,7 +87,7 @@ const githubAutolinks = {
       return {
         type: 'githubAutolinks',
         raw: match[0],
-        href: `https://github.com/${CONFIG.repo}/issues/${match[1]}`,
+        href: `${context.webUrl}/${context.repo}/${issuesPath}/${match[1]}`,
         text: match[0]
       };
     }
@@ -72,7 +109,7 @@ const githubAutolinks = {
       return {
         type: 'githubAutolinks',
         raw: match[0],
-        href: `https://github.com/${match[1]}`,
+        href: `${context.webUrl}/${match[1]}`,
         text: match[0]
       };
     }
@@ -142,17 +179,47 @@ function sanitizeRenderedHtml(html) {
   return result;
 }
 
+/**
+ * Get the autolinks context for the body of a release: its origin repository and platform
+ * @returns {Object|null} - { repo, webUrl, platform }, or null to use the site repository
+ */
+function getMarkdownContext(release) {
+  if (!release.repo) return null;
+  return {
+    repo: release.repo,
+    webUrl: release.webUrl || CONFIG.webUrl,
+    platform: release.platform || 'github'
+  };
+}
+
+/**
+ * Render markdown to HTML locally with marked
+ * @param {string} markdown - Markdown content
+ * @param {Object|null} context - Autolinks context (see getMarkdownContext), null for the site repository
+ */
+function parseMarkdown(markdown, context = null) {
+  autolinkContext = context;
+  try {
+    return marked.parse(markdown);
+  } finally {
+    autolinkContext = null;
+  }
+}
+
 /**
  * Render markdown to HTML using either local marked or GitHub API
+ * (markdown from other platforms is always rendered locally)
+ * @param {string} markdown - Markdown content
+ * @param {Object|null} context - Autolinks context (see getMarkdownContext), null for the site repository
  */
-async function renderMarkdown(markdown) {
+async function renderMarkdown(markdown, context = null) {
   if (!markdown) return '';
 
   let html;
-  if (CONFIG.useGitHubMarkdown) {
-    html = await renderMarkdownViaGitHub(markdown);
+  if (CONFIG.useGitHubMarkdown && (!context || context.platform === 'github')) {
+    html = await renderMarkdownViaGitHub(markdown, context ? context.repo : CONFIG.repo);
   } else {
-    html = marked.parse(markdown);
+    html = parseMarkdown(markdown, context);
   }
 
   return sanitizeRenderedHtml(html);
@@ -219,6 +286,22 @@ function slugify(text) {
     .replace(/^-|-$/g, '');     // Trim hyphens from start/end
 }
 
+/**
+ * Get the URL of a release page, building it from the tag if the release data doesn't include it
+ */
+function getReleaseUrl(release) {
+  if (release.url) return release.url;
+  const repo = release.repo || CONFIG.repo;
+  return repo ? `${release.webUrl || CONFIG.webUrl}/${repo}/releases/tag/${encodeURIComponent(release.tag)}` : '#';
+}
+
+/**
+ * Get the URL of the repository a release comes from
+ */
+function getReleaseRepoUrl(release) {
+  return release.repo ? `${release.webUrl || CONFIG.webUrl}/${release.repo}` : '#';
+}
+
 function generateReleaseHtml(release) {
   const latestBadge = release.isLatest
     ? '<span class="badge latest">Latest</span>'
@@ -227,14 +310,15 @@ function generateReleaseHtml(release) {
     ? '<span class="badge prerelease">Pre-release</span>'
     : '';
   const prereleaseAttr = release.prerelease ? 'true' : 'false';
+  const platformName = PLATFORM_NAMES[release.platform] || PLATFORM_NAMES.github;
 
-  // GitHub link to see release on GitHub
+  // GitHub link to see release on GitHub (or on the platform the release comes from)
   const githubLink = `
-        <a href="${escapeHtml(release.url)}" class="release-github-link" title="See release in GitHub" onclick="event.stopPropagation()">
+        <a href="${escapeHtml(getReleaseUrl(release))}" class="release-github-link" title="See release in ${platformName}" onclick="event.stopPropagation()">
           <svg class="octicon" viewBox="0 0 16 16" width="16" height="16">
             <path d="M8 0c4.42 0 8 3.58 8 8a8.013 8.013 0 0 1-5.45 7.59c-.4.08-.55-.17-.55-.38 0-.27.01-1.13.01-2.2 0-.75-.25-1.23-.54-1.48 1.78-.2 3.65-.88 3.65-3.95 0-.88-.31-1.59-.82-2.15.08-.2.36-1.02-.08-2.12 0 0-.67-.22-2.2.82-.64-.18-1.32-.27-2-.27-.68 0-1.36.09-2 .27-1.53-1.03-2.2-.82-2.2-.82-.44 1.1-.16 1.92-.08 2.12-.51.56-.82 1.28-.82 2.15 0 3.06 1.86 3.75 3.64 3.95-.23.2-.44.55-.51 1.07-.46.21-1.61.55-2.33-.66-.15-.24-.6-.83-1.23-.82-.67.01-.27.38.01.53.34.19.73.9.82 1.13.16.45.68 1.31 2.69.94 0 .67.01 1.3.01 1.49 0 .21-.15.45-.55.38A7.995 7.995 0 0 1 0 8c0-4.42 3.58-8 8-8Z"></path>
           </svg>
-          <span>See release in GitHub</span>
+          <span>See release in ${platformName}</span>
         </a>`;
 
   // Render full assets list
@@ -273,7 +357,7 @@ function generateReleaseHtml(release) {
   // Render full markdown body (use pre-rendered if available)
   let bodyHtml = '';
   if (release.body) {
-    const renderedBody = release._renderedBody || sanitizeRenderedHtml(marked.parse(release.body));
+    const renderedBody = release._renderedBody || sanitizeRenderedHtml(parseMarkdown(release.body, getMarkdownContext(release)));
     bodyHtml = `<div class="release-body">${renderedBody}</div>`;
   }
 
@@ -302,8 +386,17 @@ function generateReleaseHtml(release) {
           ${prereleaseBadge}
         </div>` : '';
 
+  // Origin repository (only shown when aggregating several sources)
+  const repoHtml = (CONFIG.multipleSources && (release.repo || release.sourceName)) ? `
+            <a href="${escapeHtml(getReleaseRepoUrl(release))}" class="release-repo" title="${escapeHtml(release.repo || release.sourceName)}">
+              <svg class="octicon" viewBox="0 0 16 16" width="16" height="16">
+                <path d="M2 2.5A2.5 2.5 0 0 1 4.5 0h8.75a.75.75 0 0 1 .75.75v12.5a.75.75 0 0 1-.75.75h-2.5a.75.75 0 0 1 0-1.5h1.75v-2h-8a1 1 0 0 0-.714 1.7.75.75 0 1 1-1.072 1.05A2.495 2.495 0 0 1 2 11.5Zm10.5-1h-8a1 1 0 0 0-1 1v6.708A2.486 2.486 0 0 1 4.5 9h8ZM5 12.25a.25.25 0 0 1 .25-.25h3.5a.25.25 0 0 1 .25.25v3.25a.25.25 0 0 1-.4.2l-1.45-1.087a.249.249 0 0 0-.3 0L5.4 15.7a.25.25 0 0 1-.4-.2Z"></path>
+              </svg>
+              ${escapeHtml(release.sourceName || release.repo)}
+            </a>` : '';
+
   return `
-    <div class="release-card" data-release-id="${release.id}" data-is-latest="${release.isLatest || false}" data-is-prerelease="${prereleaseAttr}">
+    <div class="release-card" data-release-id="${escapeHtml(String(release.id))}" data-is-latest="${release.isLatest || false}" data-is-prerelease="${prereleaseAttr}">
       <div class="release-card-header" onclick="if(event.target.tagName !== 'A' && !event.target.closest('.release-github-link')) toggleReleaseCard(this.closest('.release-card'))">
         <div class="release-header-main">
           <div class="release-info">
@@ -311,6 +404,7 @@ function generateReleaseHtml(release) {
             ${githubLink}
           </div>
           <div class="release-meta">
+            ${repoHtml}
             <span class="release-tag">
               <svg class="octicon" viewBox="0 0 16 16" width="16" height="16">
                 <path d="M1 7.775V2.75C1 1.784 1.784 1 2.75 1h5.025c.464 0 .91.184 1.238.513l6.25 6.25a1.75 1.75 0 0 1 0 2.474l-5.026 5.026a1.75 1.75 0 0 1-2.474 0l-6.25-6.25A1.752 1.752 0 0 1 1 7.775Zm1.5 0c0 .066.026.13.073.177l6.25 6.25a.25.25 0 0 0 .354 0l5.025-5.025a.25.25 0 0 0 0-.354l-6.25-6.25a.25.25 0 0 0-.177-.073H2.75a.25.25 0 0 0-.25.25ZM6 5a1 1 0 1 1 0 2 1 1 0 0 1 0-2Z"></path>
@@ -398,6 +492,76 @@ function calculateAllCounts(category) {
   return counts;
 }
 
+// ============================================================================
+// Feed Links
+// ============================================================================
+
+/**
+ * Link to the feed of a category: relative in single-page mode, from the site root in multi-page mode
+ * (like the other links of the multi-page site, the category pages are in subdirectories)
+ */
+function getFeedHref(categoryId, format) {
+  const prefix = CONFIG.multiPage && CONFIG.multiPage.enabled ? '/' : '';
+  return `${prefix}${getFeedPath(categoryId, format)}`;
+}
+
+/**
+ * Generate the feed icon of a sidebar entry (linking to the feed in the first configured format)
+ */
+function generateFeedIconHtml(categoryId) {
+  if (!CONFIG.feeds || !CONFIG.feeds.enabled) return '';
+  const format = CONFIG.feeds.formats[0];
+  return `<a class="nav-feed" href="${escapeHtml(getFeedHref(categoryId, format))}" title="${FEED_FORMATS[format].label} feed" onclick="event.stopPropagation()">
+          <svg class="octicon" viewBox="0 0 16 16" width="12" height="12">
+            <path d="M2.002 2.725a.75.75 0 0 1 .797-.699C8.79 2.42 13.58 7.21 13.974 13.201a.75.75 0 0 1-1.497.098 10.502 10.502 0 0 0-9.776-9.776.747.747 0 0 1-.7-.798ZM2.84 7.05h-.002a7.002 7.002 0 0 1 6.113 6.111.75.75 0 0 1-1.49.178 5.503 5.503 0 0 0-4.8-4.8.75.75 0 0 1 .179-1.489ZM2 13a1 1 0 1 1 2 0 1 1 0 0 1-2 0Z"></path>
+          </svg>
+        </a>`;
+}
+
+/**
+ * Generate the <link rel="alternate"> tags of the feeds of some categories
+ * @param {Array} feeds - Array of { id, title } (title of the feed, see getCategoryFeedTitles)
+ * @param {string} siteTitle - Title of the site (link titles are "<site title> - <feed title> (<format>)", as in the feeds)
+ */
+function generateFeedLinksHtml(feeds, siteTitle) {
+  if (!CONFIG.feeds || !CONFIG.feeds.enabled) return '';
+  return feeds.flatMap(feed => CONFIG.feeds.formats.map(format =>
+    `<link rel="alternate" type="${FEED_FORMATS[format].type}" title="${escapeHtml(`${siteTitle} - ${feed.title} (${FEED_FORMATS[format].label})`)}" href="${escapeHtml(getFeedHref(feed.id, format))}">`
+  )).join('\n  ');
+}
+
+// Labels of the lifecycle statuses
+const LIFECYCLE_LABELS = { active: 'Active', maintenance: 'Maintenance', eol: 'EOL' };
+
+/**
+ * Get the lifecycle badge of a category (not shown on the subcategories inheriting the status)
+ * @returns {Object|null} - { status, label, title } where title describes the support dates
+ */
+function getLifecycleBadge(category) {
+  const lifecycle = category.lifecycle;
+  if (!lifecycle || lifecycle.inherited) return null;
+
+  const now = new Date();
+  const dates = [];
+  if (lifecycle.supportUntil) {
+    dates.push(`${new Date(lifecycle.supportUntil) <= now ? 'Support ended on' : 'Supported until'} ${lifecycle.supportUntil.slice(0, 10)}`);
+  }
+  if (lifecycle.endOfLife) {
+    dates.push(`${new Date(lifecycle.endOfLife) <= now ? 'End of life since' : 'End of life on'} ${lifecycle.endOfLife.slice(0, 10)}`);
+  }
+  return {
+    status: lifecycle.status,
+    label: LIFECYCLE_LABELS[lifecycle.status],
+    title: dates.join('\n')
+  };
+}
+
+function generateLifecycleBadgeHtml(badge, className) {
+  if (!badge) return '';
+  const titleAttr = badge.title ? ` title="${escapeHtml(badge.title)}"` : '';
+  return `<span class="${className} status-${badge.status}"${titleAttr}>${escapeHtml(badge.label)}</span>`;
+}
+
 function generateSidebarCategoryHtml(category, config, depth = 0) {
   const categoryId = category.id;
   const hasChildren = category.categories && category.categories.length > 0;
@@ -435,7 +599,7 @@ function generateSidebarCategoryHtml(category, config, depth = 0) {
     <li class="nav-item${hasChildren ? ' has-children' : ''}" data-category-id="${categoryId}">
       <div class="nav-link"${tooltipAttr} onclick="selectCategory('${categoryId}')">
         ${expandIcon}
-        <span class="nav-name">${escapeHtml(category.name)}</span>
+        <span class="nav-name">${escapeHtml(category.name)}</span>${generateLifecycleBadgeHtml(getLifecycleBadge(category), 'nav-status')}${generateFeedIconHtml(categoryId)}
         <span class="nav-count" data-count-all="${counts.all}" data-count-nopre="${counts.nopre}" data-count-latest="${counts.latest}" data-count-latestnopre="${counts.latestnopre}">${counts.all}</span>
       </div>
       ${childrenHtml}
@@ -470,7 +634,8 @@ function collectAllCategories(categories, result = {}) {
       _renderedDescription: category._renderedDescription || '',
       releases: category.releases,
       children: (category.categories || []).map(c => ({ id: c.id, name: c.name })),
-      maxDisplayed: category.maxDisplayed
+      maxDisplayed: category.maxDisplayed,
+      lifecycleBadge: getLifecycleBadge(category)
     };
     if (category.categories) {
       collectAllCategories(category.categories, result);
@@ -494,7 +659,7 @@ async function preRenderAllMarkdown(tree, unmatchedReleases, mainMdContent) {
 
   // Track releases by ID to avoid rendering duplicates
   // (releases can appear in multiple categories)
-  const releaseMap = new Map(); // id -> { release instances, body }
+  const releaseMap = new Map(); // id -> { release instances, body, bodyHtml }
 
   // Category descriptions (recursive)
   function collectCategoryMarkdown(categories) {
@@ -506,7 +671,7 @@ async function preRenderAllMarkdown(tree, unmatchedReleases, mainMdContent) {
       for (const release of cat.releases || []) {
         if (release.body) {
           if (!releaseMap.has(release.id)) {
-            releaseMap.set(release.id, { instances: [], body: release.body });
+            releaseMap.set(release.id, { instances: [], body: release.body, bodyHtml: release.bodyHtml, context: getMarkdownContext(release) });
           }
           releaseMap.get(release.id).instances.push(release);
         }
@@ -522,7 +687,7 @@ async function preRenderAllMarkdown(tree, unmatchedReleases, mainMdContent) {
   for (const release of unmatchedReleases) {
     if (release.body) {
       if (!releaseMap.has(release.id)) {
-        releaseMap.set(release.id, { instances: [], body: release.body });
+        releaseMap.set(release.id, { instances: [], body: release.body, bodyHtml: release.bodyHtml, context: getMarkdownContext(release) });
       }
       releaseMap.get(release.id).instances.push(release);
     }
@@ -530,19 +695,32 @@ async function preRenderAllMarkdown(tree, unmatchedReleases, mainMdContent) {
 
   // Add unique releases to markdown items
   for (const [id, data] of releaseMap) {
-    markdownItems.push({ type: 'release', instances: data.instances, content: data.body });
+    markdownItems.push({ type: 'release', instances: data.instances, content: data.body, html: data.bodyHtml, context: data.context });
   }
 
   // Render all markdown
   const results = {};
   if (CONFIG.useGitHubMarkdown) {
+    // Release bodies already rendered by GitHub (GraphQL backend) don't need an API call
+    for (const item of markdownItems.filter(i => i.html)) {
+      for (const instance of item.instances) {
+        instance._renderedBody = sanitizeRenderedHtml(item.html);
+      }
+    }
+    const pendingItems = markdownItems.filter(i => !i.html);
+    if (pendingItems.length < markdownItems.length) {
+      console.log(`Using ${markdownItems.length - pendingItems.length} release bodies already rendered by GitHub`);
+    }
+
     // Render sequentially to avoid rate limits (could be parallelized with care)
-    const total = markdownItems.length;
+    const total = pendingItems.length;
+    const apiRequests = pendingItems.filter(i => !i.context || i.context.platform === 'github').length;
+    await ensureRateLimitBudget(apiRequests, 'Rendering markdown via GitHub API');
     let current = 0;
-    for (const item of markdownItems) {
+    for (const item of pendingItems) {
       current++;
       process.stdout.write(`\rRendering markdown via GitHub API: ${current}/${total}`);
-      const html = await renderMarkdown(item.content);
+      const html = await renderMarkdown(item.content, item.context);
       if (item.type === 'main') {
         results.mainPageHtml = html;
       } else if (item.type === 'category') {
@@ -558,7 +736,7 @@ async function preRenderAllMarkdown(tree, unmatchedReleases, mainMdContent) {
   } else {
     // Local rendering is fast, can do synchronously
     for (const item of markdownItems) {
-      const html = sanitizeRenderedHtml(marked.parse(item.content));
+      const html = sanitizeRenderedHtml(parseMarkdown(item.content, item.context));
       if (item.type === 'main') {
         results.mainPageHtml = html;
       } else if (item.type === 'category') {
@@ -795,12 +973,20 @@ async function generateFullHtml(tree, unmatchedReleases, config, defaultMaxDispl
             <path fill="currentColor" d="M2.5 3.5 5.5 8H-.5Z"/>
           </svg>
         </span>
-        <span class="nav-name">${escapeHtml(latestPageTitle)}</span>
+        <span class="nav-name">${escapeHtml(latestPageTitle)}</span>${generateFeedIconHtml('latest-page')}
         <span class="nav-count">${latestReleases.length}/${latestAssets.length}</span>
       </div>
     </li>
   ` : '';
 
+  // Feeds of the latest page, the top-level categories and the unmatched releases (subcategory feeds are linked from the sidebar)
+  const feedTitles = getCategoryFeedTitles(tree);
+  const feedLinksHtml = generateFeedLinksHtml([
+    ...(showLatestPage ? [{ id: 'latest-page', title: latestPageTitle }] : []),
+    ...tree.map(c => ({ id: c.id, title: feedTitles.get(c.id) })),
+    ...(unmatchedCategory ? [{ id: unmatchedCategory.id, title: unmatchedCategory.name }] : [])
+  ], title);
+
   // Generate sidebar HTML
   const sidebarHtml = tree.map(c => generateSidebarCategoryHtml(c, config)).join('');
   const unmatchedSidebarHtml = unmatchedCategory
@@ -898,7 +1084,7 @@ async function generateFullHtml(tree, unmatchedReleases, config, defaultMaxDispl
     const hasAllReleases = CONFIG.releaseStats ? CONFIG.releaseStats.hasAllReleases : true;
     if (shouldLimit && hasAllReleases) {
       const firstHiddenRelease = category.releases[maxDisplayed];
-      const seeMoreUrl = firstHiddenRelease ? firstHiddenRelease.url : (CONFIG.repo ? `https://github.com/${CONFIG.repo}/releases` : '#');
+      const seeMoreUrl = firstHiddenRelease ? firstHiddenRelease.url : (CONFIG.repo ? `${CONFIG.webUrl}/${CONFIG.repo}/releases` : '#');
 
       // Calculate counts for each filter combination
       const countNonPre = (releases) => releases.filter(r => !r.prerelease).length;
@@ -1005,8 +1191,9 @@ async function generateFullHtml(tree, unmatchedReleases, config, defaultMaxDispl
   `;
 
   // Generate repository link
-  const repoUrl = CONFIG.repo ? `https://github.com/${CONFIG.repo}` : '#';
-  const repoLinkHtml = `
+  const repoUrl = CONFIG.repo ? `${CONFIG.webUrl}/${CONFIG.repo}` : (CONFIG.repoUrl || '#');
+  // No single repository to link to when aggregating several sources
+  const repoLinkHtml = CONFIG.multipleSources ? '' : `
     <a href="${repoUrl}" class="repo-link">
       <svg class="octicon" viewBox="0 0 16 16" width="16" height="16">
         <path d="M8 0c4.42 0 8 3.58 8 8a8.013 8.013 0 0 1-5.45 7.59c-.4.08-.55-.17-.55-.38 0-.27.01-1.13.01-2.2 0-.75-.25-1.23-.54-1.48 1.78-.2 3.65-.88 3.65-3.95 0-.88-.31-1.59-.82-2.15.08-.2.36-1.02-.08-2.12 0 0-.67-.22-2.2.82-.64-.18-1.32-.27-2-.27-.68 0-1.36.09-2 .27-1.53-1.03-2.2-.82-2.2-.82-.44 1.1-.16 1.92-.08 2.12-.51.56-.82 1.28-.82 2.15 0 3.06 1.86 3.75 3.64 3.95-.23.2-.44.55-.51 1.07-.46.21-1.61.55-2.33-.66-.15-.24-.6-.83-1.23-.82-.67.01-.27.38.01.53.34.19.73.9.82 1.13.16.45.68 1.31 2.69.94 0 .67.01 1.3.01 1.49 0 .21-.15.45-.55.38A7.995 7.995 0 0 1 0 8c0-4.42 3.58-8 8-8Z"></path>
@@ -1027,14 +1214,15 @@ async function generateFullHtml(tree, unmatchedReleases, config, defaultMaxDispl
   let releaseStatsHtml = '';
   if (CONFIG.releaseStats) {
     const stats = CONFIG.releaseStats;
-    const listedDataAttrs = `data-listed-all="${uniqueDisplayedCounts.all}" data-listed-nopre="${uniqueDisplayedCounts.nopre}" data-listed-latest="${uniqueDisplayedCounts.latest}" data-listed-latestnopre="${uniqueDisplayedCounts.latestnopre}" data-existing="${stats.totalCount}"`;
+    const origin = CONFIG.multipleSources ? 'the repositories' : 'the repository';
+    const listedDataAttrs = `data-listed-all="${uniqueDisplayedCounts.all}" data-listed-nopre="${uniqueDisplayedCounts.nopre}" data-listed-latest="${uniqueDisplayedCounts.latest}" data-listed-latestnopre="${uniqueDisplayedCounts.latestnopre}" data-existing="${stats.totalCount}" data-origin="${origin}"`;
     const allListed = uniqueDisplayedCounts.all === stats.totalCount;
     const listedText = allListed
       ? `${uniqueDisplayedCounts.all} releases listed`
       : `${uniqueDisplayedCounts.all} of ${stats.totalCount} releases listed`;
     const tooltipText = allListed
-      ? `${stats.totalCount} releases exist in the repository, all are listed on this site`
-      : `${stats.totalCount} releases exist in the repository, ${uniqueDisplayedCounts.all} listed on this site`;
+      ? `${stats.totalCount} releases exist in ${origin}, all are listed on this site`
+      : `${stats.totalCount} releases exist in ${origin}, ${uniqueDisplayedCounts.all} listed on this site`;
     const lastUpdate = new Date().toISOString().replace('T', ' ').substring(0, 19) + ' UTC';
 
     releaseStatsHtml = `
@@ -1055,6 +1243,7 @@ async function generateFullHtml(tree, unmatchedReleases, config, defaultMaxDispl
   <title>${escapeHtml(title)}</title>
   ${faviconHtml}
   <link rel="stylesheet" href="style.css">
+  ${feedLinksHtml}
 </head>
 <body>
   <div id="loadingOverlay" class="loading-overlay">
@@ -1203,12 +1392,20 @@ async function prepareMultiPageData(tree, unmatchedReleases, config, defaultMaxD
             <path fill="currentColor" d="M2.5 3.5 5.5 8H-.5Z"/>
           </svg>
         </span>
-        <span class="nav-name">${escapeHtml(latestPageTitle)}</span>
+        <span class="nav-name">${escapeHtml(latestPageTitle)}</span>${generateFeedIconHtml('latest-page')}
         <span class="nav-count">${latestReleases.length}/${latestAssets.length}</span>
       </div>
     </li>
   ` : '';
 
+  // Feeds linked from every page (the category pages also link to the feeds of their category)
+  const feedTitles = getCategoryFeedTitles(tree);
+  const feedLinkCategories = [
+    ...(showLatestPage ? [{ id: 'latest-page', title: latestPageTitle }] : []),
+    ...tree.map(c => ({ id: c.id, title: feedTitles.get(c.id) })),
+    ...(unmatchedCategory ? [{ id: unmatchedCategory.id, title: unmatchedCategory.name }] : [])
+  ];
+
   // Generate sidebar HTML
   const sidebarHtml = tree.map(c => generateSidebarCategoryHtml(c, config)).join('');
   const unmatchedSidebarHtml = unmatchedCategory
@@ -1306,7 +1503,8 @@ async function prepareMultiPageData(tree, unmatchedReleases, config, defaultMaxD
       children: cat.children,
       isIndex: cat.isIndex || false,
       isLatestPage: cat.isLatestPage || false,
-      hasPages: cat.hasPages || false
+      hasPages: cat.hasPages || false,
+      lifecycleBadge: cat.lifecycleBadge || null
     };
   }
 
@@ -1327,6 +1525,8 @@ async function prepareMultiPageData(tree, unmatchedReleases, config, defaultMaxD
     simplifiedCategories,
     categoryDescriptionsHtml,
     uniqueDisplayedCounts,
+    feedLinkCategories,
+    feedTitles,
     defaultCategoryId
   };
 
@@ -1344,11 +1544,18 @@ function generateMultiPageHtml(data, initialCategoryId = null, assetPathPrefix =
     unmatchedSidebarHtml,
     simplifiedCategories,
     categoryDescriptionsHtml,
-    uniqueDisplayedCounts
+    uniqueDisplayedCounts,
+    feedLinkCategories,
+    feedTitles
   } = data;
 
   const categoryId = initialCategoryId || data.defaultCategoryId;
 
+  const feedCategory = initialCategoryId && initialCategoryId !== 'index' && !feedLinkCategories.some(c => c.id === initialCategoryId)
+    ? [{ id: initialCategoryId, title: feedTitles.get(initialCategoryId) }]
+    : [];
+  const feedLinksHtml = generateFeedLinksHtml([...feedCategory, ...feedLinkCategories], title);
+
   const latestToggleHtml = showLatestToggle ? `
           <label class="filter-toggle">
             <input type="checkbox" id="showLatestOnly" onchange="toggleLatestOnly(this.checked)">
@@ -1388,8 +1595,9 @@ function generateMultiPageHtml(data, initialCategoryId = null, assetPathPrefix =
   `;
 
   // Repository link
-  const repoUrl = CONFIG.repo ? `https://github.com/${CONFIG.repo}` : '#';
-  const repoLinkHtml = `
+  const repoUrl = CONFIG.repo ? `${CONFIG.webUrl}/${CONFIG.repo}` : (CONFIG.repoUrl || '#');
+  // No single repository to link to when aggregating several sources
+  const repoLinkHtml = CONFIG.multipleSources ? '' : `
     <a href="${repoUrl}" class="repo-link">
       <svg class="octicon" viewBox="0 0 16 16" width="16" height="16">
         <path d="M8 0c4.42 0 8 3.58 8 8a8.013 8.013 0 0 1-5.45 7.59c-.4.08-.55-.17-.55-.38 0-.27.01-1.13.01-2.2 0-.75-.25-1.23-.54-1.48 1.78-.2 3.65-.88 3.65-3.95 0-.88-.31-1.59-.82-2.15.08-.2.36-1.02-.08-2.12 0 0-.67-.22-2.2.82-.64-.18-1.32-.27-2-.27-.68 0-1.36.09-2 .27-1.53-1.03-2.2-.82-2.2-.82-.44 1.1-.16 1.92-.08 2.12-.51.56-.82 1.28-.82 2.15 0 3.06 1.86 3.75 3.64 3.95-.23.2-.44.55-.51 1.07-.46.21-1.61.55-2.33-.66-.15-.24-.6-.83-1.23-.82-.67.01-.27.38.01.53.34.19.73.9.82 1.13.16.45.68 1.31 2.69.94 0 .67.01 1.3.01 1.49 0 .21-.15.45-.55.38A7.995 7.995 0 0 1 0 8c0-4.42 3.58-8 8-8Z"></path>
@@ -1407,14 +1615,15 @@ function generateMultiPageHtml(data, initialCategoryId = null, assetPathPrefix =
   let releaseStatsHtml = '';
   if (CONFIG.releaseStats) {
     const stats = CONFIG.releaseStats;
-    const listedDataAttrs = `data-listed-all="${uniqueDisplayedCounts.all}" data-listed-nopre="${uniqueDisplayedCounts.nopre}" data-listed-latest="${uniqueDisplayedCounts.latest}" data-listed-latestnopre="${uniqueDisplayedCounts.latestnopre}" data-existing="${stats.totalCount}"`;
+    const origin = CONFIG.multipleSources ? 'the repositories' : 'the repository';
+    const listedDataAttrs = `data-listed-all="${uniqueDisplayedCounts.all}" data-listed-nopre="${uniqueDisplayedCounts.nopre}" data-listed-latest="${uniqueDisplayedCounts.latest}" data-listed-latestnopre="${uniqueDisplayedCounts.latestnopre}" data-existing="${stats.totalCount}" data-origin="${origin}"`;
     const allListed = uniqueDisplayedCounts.all === stats.totalCount;
     const listedText = allListed
       ? `${uniqueDisplayedCounts.all} releases listed`
       : `${uniqueDisplayedCounts.all} of ${stats.totalCount} releases listed`;
     const tooltipText = allListed
-      ? `${stats.totalCount} releases exist in the repository, all are listed on this site`
-      : `${stats.totalCount} releases exist in the repository, ${uniqueDisplayedCounts.all} listed on this site`;
+      ? `${stats.totalCount} releases exist in ${origin}, all are listed on this site`
+      : `${stats.totalCount} releases exist in ${origin}, ${uniqueDisplayedCounts.all} listed on this site`;
     const lastUpdate = new Date().toISOString().replace('T', ' ').substring(0, 19) + ' UTC';
 
     releaseStatsHtml = `
@@ -1435,6 +1644,7 @@ function generateMultiPageHtml(data, initialCategoryId = null, assetPathPrefix =
   <title>${escapeHtml(title)}</title>
   ${faviconHtml}
   <link rel="stylesheet" href="${assetPathPrefix}style.css">
+  ${feedLinksHtml}
 </head>
 <body>
   <div id="loadingOverlay" class="loading-overlay">
@@ -1771,7 +1981,7 @@ async function generateCategoryPages(outputDir, tree, unmatchedReleases, config,
       const hasAllReleases = CONFIG.releaseStats ? CONFIG.releaseStats.hasAllReleases : true;
       if (hasAllReleases) {
         const firstHiddenRelease = category.releases[maxDisplayed];
-        const seeMoreUrl = firstHiddenRelease ? firstHiddenRelease.url : (CONFIG.repo ? `https://github.com/${CONFIG.repo}/releases` : '#');
+        const seeMoreUrl = firstHiddenRelease ? firstHiddenRelease.url : (CONFIG.repo ? `${CONFIG.webUrl}/${CONFIG.repo}/releases` : '#');
         truncationHtml = `
     <div class="releases-truncated">
       <svg class="octicon" viewBox="0 0 16 16" width="16" height="16">
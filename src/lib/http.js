@@ -0,0 +1,214 @@
+const { CONFIG } = require('./config');
+
+// ============================================================================
+// GitHub HTTP Layer (retries, backoff and rate limits)
+// ============================================================================
+
+// Transient server errors worth retrying
+const RETRYABLE_STATUS = [500, 502, 503, 504];
+
+// Upper limit for the exponential backoff delay between retries
+const MAX_BACKOFF_MS = 30000;
+
+// Wait time for secondary rate limits that don't include a Retry-After header,
+// as recommended by the GitHub API documentation
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60000;
+
+// Last rate limit status seen for each rate limit resource ("core", "graphql"...)
+const rateLimits = {};
+const warnedResources = new Set();
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function formatResetTime(epochSeconds) {
+  return new Date(epochSeconds * 1000).toISOString().replace('T', ' ').substring(0, 19) + ' UTC';
+}
+
+function describeRateLimit(resource) {
+  const status = rateLimits[resource];
+  return `GitHub API rate limit (${resource}): ${status.remaining} of ${status.limit} requests remaining, resets at ${formatResetTime(status.reset)}`;
+}
+
+/**
+ * Record the rate limit status reported in the headers of a GitHub API response
+ */
+function updateRateLimit(response) {
+  const remaining = response.headers.get('x-ratelimit-remaining');
+  if (remaining === null) return;
+
+  const resource = response.headers.get('x-ratelimit-resource') || 'core';
+  const status = {
+    limit: parseInt(response.headers.get('x-ratelimit-limit'), 10),
+    remaining: parseInt(remaining, 10),
+    reset: parseInt(response.headers.get('x-ratelimit-reset'), 10)
+  };
+  rateLimits[resource] = status;
+
+  // Warn once per resource when running low
+  if (!warnedResources.has(resource) && status.limit > 0 && status.remaining < status.limit * 0.1) {
+    warnedResources.add(resource);
+    console.warn(`Warning: ${describeRateLimit(resource)}`);
+  }
+}
+
+/**
+ * Get how long to wait before retrying a rate limited response
+ * @returns {number|null} - Milliseconds to wait, or null if the response isn't rate limited
+ */
+async function getRateLimitDelay(response) {
+  if (response.status !== 403 && response.status !== 429) return null;
+
+  const retryAfter = response.headers.get('retry-after');
+  if (retryAfter !== null) {
+    return Math.max(parseInt(retryAfter, 10) || 0, 1) * 1000;
+  }
+
+  if (response.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = parseInt(response.headers.get('x-ratelimit-reset'), 10);
+    return Math.max(reset * 1000 - Date.now(), 0) + 1000;
+  }
+
+  // Secondary rate limits are reported as 403/429 with an explanatory message
+  if (response.status === 429) return SECONDARY_RATE_LIMIT_WAIT_MS;
+  const text = await response.clone().text();
+  return /rate limit/i.test(text) ? SECONDARY_RATE_LIMIT_WAIT_MS : null;
+}
+
+function getBackoffDelay(attempt) {
+  return Math.min(1000 * Math.pow(2, attempt), MAX_BACKOFF_MS) + Math.floor(Math.random() * 250);
+}
+
+function rateLimitExceededError(waitMs) {
+  const minutes = Math.ceil(waitMs / 60000);
+  const hint = CONFIG.token
+    ? 'Try again later or increase --max-rate-limit-wait.'
+    : 'Use a token (--token) to get a higher rate limit, or increase --max-rate-limit-wait.';
+  return new Error(`GitHub API rate limit exceeded, it resets in ${minutes} minute(s). ${hint}`);
+}
+
+/**
+ * Perform a request to the GitHub API.
+ *
+ * - Adds the standard headers and the token (if any).
+ * - Rate limited responses are retried after the time indicated by Retry-After or X-RateLimit-Reset,
+ *   as long as that's not longer than --max-rate-limit-wait.
+ * - Network errors and transient server errors (5xx) are retried with exponential backoff,
+ *   but only for idempotent requests (GET/HEAD unless options.idempotent says otherwise).
+ *
+ * @param {string} url - Full request URL
+ * @param {Object} options - fetch options plus "idempotent", and "githubToken: false" to not send the GitHub token
+ * @returns {Response} - The final response (may be non-OK, callers check the status)
+ */
+async function githubFetch(url, options = {}) {
+  const method = options.method || 'GET';
+  const idempotent = options.idempotent !== undefined ? options.idempotent : (method === 'GET' || method === 'HEAD');
+  const headers = {
+    'Accept': 'application/vnd.github+json',
+    'User-Agent': 'github-categorized-releases',
+    ...options.headers
+  };
+
+  // The GitHub token is never sent to other hosts (e.g. GitLab sources)
+  if (CONFIG.token && !headers['Authorization'] && options.githubToken !== false) {
+    headers['Authorization'] = `token ${CONFIG.token}`;
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < CONFIG.maxRetries;
+
+    let response;
+    try {
+      response = await fetch(url, { method, headers, body: options.body });
+    } catch (err) {
+      if (!idempotent || !canRetry) {
+        throw new Error(`Request to ${url} failed: ${err.message}`);
+      }
+      const delay = getBackoffDelay(attempt);
+      console.warn(`Request to ${url} failed (${err.message}), retrying in ${Math.ceil(delay / 1000)}s...`);
+      await sleep(delay);
+      continue;
+    }
+
+    updateRateLimit(response);
+
+    // Rate limited requests weren't processed, so they can be retried regardless of the method
+    const rateLimitDelay = await getRateLimitDelay(response);
+    if (rateLimitDelay !== null) {
+      if (rateLimitDelay > CONFIG.maxRateLimitWait * 1000) {
+        throw rateLimitExceededError(rateLimitDelay);
+      }
+      if (!canRetry) return response;
+      console.warn(`GitHub API rate limit hit, waiting ${Math.ceil(rateLimitDelay / 1000)}s before retrying...`);
+      await sleep(rateLimitDelay);
+      continue;
+    }
+
+    if (RETRYABLE_STATUS.includes(response.status) && idempotent && canRetry) {
+      const delay = getBackoffDelay(attempt);
+      console.warn(`GitHub API returned ${response.status} ${response.statusText}, retrying in ${Math.ceil(delay / 1000)}s...`);
+      await sleep(delay);
+      continue;
+    }
+
+    return response;
+  }
+}
+
+/**
+ * Fetch the current rate limit status (requests to /rate_limit don't count against the limit)
+ */
+async function refreshRateLimit(resource) {
+  try {
+    const response = await githubFetch(`${CONFIG.apiUrl}/rate_limit`);
+    if (!response.ok) return;
+    const data = await response.json();
+    const status = data.resources && data.resources[resource];
+    if (status) {
+      rateLimits[resource] = { limit: status.limit, remaining: status.remaining, reset: status.reset };
+    }
+  } catch (err) {
+    // Not critical, the budget check is skipped
+  }
+}
+
+/**
+ * Fail early if performing the given number of requests would exceed the rate limit
+ * and waiting for the limit to reset would take longer than --max-rate-limit-wait.
+ * @param {number} requestCount - Number of requests about to be performed
+ * @param {string} purpose - Description of the work, for the error message
+ * @param {string} resource - Rate limit resource ("core" for the REST API)
+ */
+async function ensureRateLimitBudget(requestCount, purpose, resource = 'core') {
+  if (!rateLimits[resource]) {
+    await refreshRateLimit(resource);
+  }
+  // No rate limit information (e.g. rate limiting disabled in GitHub Enterprise Server)
+  const status = rateLimits[resource];
+  if (!status || requestCount <= status.remaining) return;
+
+  const waitMs = status.reset * 1000 - Date.now();
+  if (waitMs <= CONFIG.maxRateLimitWait * 1000) {
+    console.warn(`${purpose} needs ${requestCount} API requests but only ${status.remaining} remain, will wait for the rate limit reset at ${formatResetTime(status.reset)}`);
+    return;
+  }
+
+  const hint = CONFIG.token ? 'Try again later.' : 'Use a token (--token) to get a higher rate limit.';
+  throw new Error(`${purpose} needs ${requestCount} GitHub API requests, but only ${status.remaining} of ${status.limit} remain until ${formatResetTime(status.reset)}. ${hint}`);
+}
+
+/**
+ * Log the last known rate limit status of each resource used so far
+ */
+function logRateLimitStatus() {
+  for (const resource of Object.keys(rateLimits)) {
+    console.log(describeRateLimit(resource));
+  }
+}
+
+module.exports = {
+  githubFetch,
+  ensureRateLimitBudget,
+  logRateLimitStatus
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { extractVersion, formatVersion } = require('./semver');
+
+// Version of the JSON API schema: additions keep the version, incompatible changes use a new directory
+const API_VERSION = 1;
+const API_DIR = `api/v${API_VERSION}`;
+
+// ============================================================================
+// JSON API Export
+// ============================================================================
+
+/**
+ * Convert a release to its JSON API representation
+ */
+function toApiRelease(release) {
+  const version = extractVersion(release.tag || '');
+  return {
+    id: release.id,
+    tag: release.tag,
+    name: release.name,
+    version: version ? formatVersion(version) : null,
+    url: release.url || null,
+    publishedAt: release.publishedAt,
+    prerelease: release.prerelease === true,
+    latest: release.isLatest === true,
+    repo: release.repo ?? null,
+    author: (release.author && release.author.login) || null,
+    body: release.body || '',
+    assets: (release.assets || [])
+      .filter(a => !a.isSourceCode)
+      .map(a => ({ name: a.name, url: a.url, size: typeof a.size === 'number' ? a.size : null }))
+  };
+}
+
+function toApiLifecycle(lifecycle) {
+  if (!lifecycle) return null;
+  return { status: lifecycle.status, supportUntil: lifecycle.supportUntil, endOfLife: lifecycle.endOfLife };
+}
+
+/**
+ * Path of the release list of a category, relative to the API directory (e.g. "categories/packages/ui.json")
+ */
+function getCategoryFile(categoryId) {
+  return `categories/${categoryId}.json`;
+}
+
+/**
+ * Write the JSON API of the site: index.json (category tree), categories/<id>.json (releases of each category)
+ * and latest.json (latest releases of every category and of the latest page)
+ * (must run after the HTML generation: it uses the category IDs)
+ * @param {string} outputDir - Site directory
+ * @param {Array} tree - Classified categories, with IDs assigned
+ * @param {Object|null} unmatched - { name, releases } of the unmatched releases, null if not displayed
+ * @param {Array} latestReleases - Releases of the latest page (all the releases marked as latest)
+ * @param {Object} config - Parsed configuration file
+ */
+function writeJsonApi(outputDir, tree, unmatched, latestReleases, config) {
+  const apiDir = path.join(outputDir, API_DIR);
+  const generatedAt = new Date().toISOString();
+  const writeJson = (file, data) => {
+    const filePath = path.join(apiDir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: API_VERSION, generatedAt, ...data }, null, 2));
+  };
+
+  let fileCount = 0;
+  const latestByCategory = [];
+
+  // Write the release list of a category and return its entry in the index
+  const writeCategory = (category, namePath) => {
+    const entry = {
+      id: category.id,
+      name: category.name,
+      path: namePath,
+      description: category.description || '',
+      lifecycle: toApiLifecycle(category.lifecycle),
+      releaseCount: category.releases.length,
+      file: getCategoryFile(category.id)
+    };
+    const latest = category.releases.filter(r => r.isLatest).map(toApiRelease);
+    writeJson(entry.file, {
+      ...entry,
+      categories: (category.categories || []).map(c => c.id),
+      latest,
+      releases: category.releases.map(toApiRelease)
+    });
+    fileCount++;
+    latestByCategory.push({ id: entry.id, name: entry.name, path: namePath, lifecycle: entry.lifecycle, latest });
+    return entry;
+  };
+
+  const addCategories = (categories, parentPath) => categories.map(category => {
+    const namePath = [...parentPath, category.name];
+    return { ...writeCategory(category, namePath), categories: addCategories(category.categories || [], namePath) };
+  });
+  const categories = addCategories(tree, []);
+
+  const unmatchedEntry = unmatched
+    ? writeCategory({ id: 'category-unmatched', name: unmatched.name, releases: unmatched.releases }, [unmatched.name])
+    : null;
+
+  const siteConfig = config.site || {};
+  writeJson('index.json', {
+    site: { title: siteConfig.title || 'Releases', description: siteConfig.description || '' },
+    categories,
+    unmatched: unmatchedEntry,
+    latest: 'latest.json'
+  });
+  writeJson('latest.json', {
+    categories: latestByCategory,
+    releases: latestReleases.map(toApiRelease)
+  });
+
+  console.log(`Generated JSON API in ${API_DIR} (${fileCount + 2} files)`);
+}
+
+module.exports = {
+  API_VERSION,
+  writeJsonApi
+};
@@ -1,7 +1,75 @@
+const { extractVersion, satisfies } = require('./semver');
+const { parseCutoffDate } = require('./dates');
+
+// Name of a named matcher (top-level "matchers" section) after resolving it, shown by --explain
+const MATCHER_NAME = Symbol('MATCHER_NAME');
+
+// Size units for asset-size, powers of 1024 like the sizes displayed in the site
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
 // ============================================================================
 // Matcher Logic
 // ============================================================================
 
+/**
+ * Parse a size: a number of bytes, or a string with a unit ("500KB", "1.5 GB")
+ * @returns {number|null} - Size in bytes, null if invalid
+ */
+function parseSize(value) {
+  if (typeof value === 'number') return value >= 0 ? value : null;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?B)?$/i);
+  return match ? Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]) : null;
+}
+
+// Uploaded assets of a release (source code archives are generated by the platform and excluded)
+function getUploadedAssets(release) {
+  return (release.assets || []).filter(a => !a.isSourceCode);
+}
+
+function isInRange(value, min, max) {
+  return (min === undefined || min === null || value >= min) && (max === undefined || max === null || value <= max);
+}
+
+/**
+ * Check the asset-size matcher: { min, max, per-asset } where per-asset is false (total size of the assets),
+ * "any" (at least one asset in range) or "all" (all the assets in range). Assets of unknown size are ignored.
+ */
+function matchesAssetSize(release, spec) {
+  const min = spec.min !== undefined && spec.min !== null ? parseSize(spec.min) : null;
+  const max = spec.max !== undefined && spec.max !== null ? parseSize(spec.max) : null;
+  const sizes = getUploadedAssets(release).map(a => a.size).filter(size => typeof size === 'number');
+
+  switch (spec['per-asset']) {
+    case 'any':
+      return sizes.some(size => isInRange(size, min, max));
+    case 'all':
+      return sizes.length > 0 && sizes.every(size => isInRange(size, min, max));
+    default:
+      return isInRange(sizes.reduce((total, size) => total + size, 0), min, max);
+  }
+}
+
+/**
+ * Check if the version in the tag of a release is included in a version range
+ * @param {Object} release - The release object to test
+ * @param {string|Object} spec - Version range (">=2.4 <3"), or { range, prefix } where prefix is a regular
+ *   expression for the part of the tag before the version
+ * @returns {boolean} - false if the tag has no version
+ */
+function matchesVersion(release, spec) {
+  const { range, prefix } = spec && typeof spec === 'object' ? spec : { range: spec, prefix: null };
+  const version = extractVersion(release.tag || '', prefix ?? null);
+  return version !== null && satisfies(version, String(range));
+}
+
+/**
+ * Check the lifecycle status of the category a release is displayed in
+ * @param {string|Array} spec - Status ("active", "maintenance", "eol") or list of statuses
+ */
+function matchesCategoryStatus(release, spec) {
+  return [].concat(spec).includes(release.categoryStatus || 'active');
+}
+
 function testMatcher(release, matcher) {
   let result = true;
 
@@ -46,6 +114,28 @@ function testMatcher(release, matcher) {
     if (regex.test(release.body)) return false;
   }
 
+  // repo: match against the origin repository (owner/repo) when aggregating several sources
+  if (matcher.repo !== undefined) {
+    const regex = new RegExp(matcher.repo, 'i');
+    if (!regex.test(release.repo || '')) return false;
+  }
+
+  if (matcher['repo-not'] !== undefined) {
+    const regex = new RegExp(matcher['repo-not'], 'i');
+    if (regex.test(release.repo || '')) return false;
+  }
+
+  // author: match against the login of the user who published the release (empty if unknown)
+  if (matcher.author !== undefined) {
+    const regex = new RegExp(matcher.author, 'i');
+    if (!regex.test((release.author && release.author.login) || '')) return false;
+  }
+
+  if (matcher['author-not'] !== undefined) {
+    const regex = new RegExp(matcher['author-not'], 'i');
+    if (regex.test((release.author && release.author.login) || '')) return false;
+  }
+
   // assets: match against asset names (excluding source code), joined by newlines
   if (matcher.assets !== undefined) {
     const assetNames = (release.assets || [])
@@ -65,6 +155,39 @@ function testMatcher(release, matcher) {
     if (regex.test(assetNames)) return false;
   }
 
+  // has-assets, asset-count, asset-size: uploaded assets only (source code archives excluded)
+  if (matcher['has-assets'] !== undefined) {
+    if ((getUploadedAssets(release).length > 0) !== matcher['has-assets']) return false;
+  }
+
+  if (matcher['asset-count'] !== undefined) {
+    const { min, max } = matcher['asset-count'];
+    if (!isInRange(getUploadedAssets(release).length, min, max)) return false;
+  }
+
+  if (matcher['asset-size'] !== undefined) {
+    if (!matchesAssetSize(release, matcher['asset-size'])) return false;
+  }
+
+  // version: semver range matched against the version in the tag (tags without a version don't match)
+  if (matcher.version !== undefined) {
+    if (!matchesVersion(release, matcher.version)) return false;
+  }
+
+  if (matcher['version-not'] !== undefined) {
+    if (matchesVersion(release, matcher['version-not'])) return false;
+  }
+
+  // published-after/published-before: ISO or relative dates ("-30d"), after is inclusive and before exclusive
+  // so that consecutive windows don't overlap
+  if (matcher['published-after'] !== undefined) {
+    if (!(new Date(release.publishedAt) >= parseCutoffDate(matcher['published-after']))) return false;
+  }
+
+  if (matcher['published-before'] !== undefined) {
+    if (!(new Date(release.publishedAt) < parseCutoffDate(matcher['published-before']))) return false;
+  }
+
   // is-prerelease
   if (matcher['is-prerelease'] !== undefined) {
     if (release.prerelease !== matcher['is-prerelease']) return false;
@@ -75,6 +198,16 @@ function testMatcher(release, matcher) {
     if (release.isLatest !== matcher['is-latest']) return false;
   }
 
+  // category-status: lifecycle status of the deepest category the release is displayed in (only known when
+  // evaluating latest-match, categories without a status are active)
+  if (matcher['category-status'] !== undefined) {
+    if (!matchesCategoryStatus(release, matcher['category-status'])) return false;
+  }
+
+  if (matcher['category-status-not'] !== undefined) {
+    if (matchesCategoryStatus(release, matcher['category-status-not'])) return false;
+  }
+
   return result;
 }
 
@@ -84,7 +217,13 @@ const SIMPLE_MATCHER_KEYS = [
   'tag', 'tag-not',
   'body', 'body-not',
   'assets', 'assets-not',
-  'is-prerelease', 'is-latest'
+  'author', 'author-not',
+  'has-assets', 'asset-count', 'asset-size',
+  'repo', 'repo-not',
+  'version', 'version-not',
+  'published-after', 'published-before',
+  'is-prerelease', 'is-latest',
+  'category-status', 'category-status-not'
 ];
 
 /**
@@ -202,8 +341,221 @@ function matchesFilter(release, filter) {
   return matches;
 }
 
+/**
+ * Check if a release passes the global include/exclude filters: it must match "include" (every release
+ * does if it's missing or has no matchers) and not match "exclude" (no release does if it's missing or
+ * has no matchers, so that "exclude: {}" doesn't filter out everything)
+ */
+function passesGlobalFilters(release, config) {
+  const exclude = config.exclude && typeof config.exclude === 'object' ? getOwnMatchers(config.exclude) : null;
+  return matchesFilter(release, config.include) && !(exclude && matchesFilter(release, config.exclude));
+}
+
+// ============================================================================
+// Match Explanations (--explain)
+// ============================================================================
+
+/**
+ * Explain how a matcher evaluates against a release
+ * @param {Object} release - The release object to test
+ * @param {Object} matcher - Matcher object (simple matchers, match-all, match-any)
+ * @returns {Object} - { pass, checks } where checks is an array of { key, value, pass }
+ *   (or { key, pass, items } for match-all and match-any, items being explanations of the nested matchers)
+ */
+function explainMatcher(release, matcher) {
+  const checks = [];
+
+  for (const key of ['match-all', 'match-any']) {
+    if (matcher[key]) {
+      const items = matcher[key].map(m => explainMatcher(release, m));
+      const pass = key === 'match-all' ? items.every(i => i.pass) : items.some(i => i.pass);
+      checks.push({ key, pass, items });
+    }
+  }
+
+  for (const key of SIMPLE_MATCHER_KEYS) {
+    if (matcher[key] !== undefined) {
+      checks.push({ key, value: matcher[key], pass: testMatcher(release, { [key]: matcher[key] }) });
+    }
+  }
+
+  return { pass: testMatcher(release, matcher), checks, name: matcher[MATCHER_NAME] || null };
+}
+
+/**
+ * Get the matchers of a category or filter block as a single matcher object
+ * (non-empty match-any/match-all and the simple matchers, all of them combined with AND logic)
+ * @returns {Object|null} - null if the block has no matchers
+ */
+function getOwnMatchers(block) {
+  const own = {};
+  for (const key of ['match-any', 'match-all']) {
+    if (block[key] && block[key].length > 0) {
+      own[key] = block[key];
+    }
+  }
+  for (const key of SIMPLE_MATCHER_KEYS) {
+    if (block[key] !== undefined) {
+      own[key] = block[key];
+    }
+  }
+  return Object.keys(own).length > 0 ? own : null;
+}
+
+/**
+ * Explain how a release is matched against a category (same logic as matchesCategory)
+ * @returns {Object} - { pass, own, inherited } where own is the explanation of the category's own matchers
+ *   (null if it has none) and inherited is { mode, parentPass } (null if the parent result isn't used)
+ */
+function explainCategoryMatch(release, category, parentMatches = undefined, inheritMode = false) {
+  const own = getOwnMatchers(category);
+  const shouldInherit = inheritMode && inheritMode !== false && parentMatches !== undefined;
+
+  return {
+    pass: matchesCategory(release, category, parentMatches, inheritMode),
+    own: own ? explainMatcher(release, own) : null,
+    inherited: shouldInherit ? { mode: inheritMode === 'or' ? 'or' : 'and', parentPass: parentMatches } : null
+  };
+}
+
+/**
+ * Explain how a release is evaluated by an include/exclude filter (same logic as matchesFilter)
+ * @returns {Object} - { pass, own } where own is null if the filter has no matchers (matches all releases)
+ */
+function explainFilter(release, filter) {
+  const own = filter && typeof filter === 'object' ? getOwnMatchers(filter) : null;
+  return {
+    pass: matchesFilter(release, filter),
+    own: own ? explainMatcher(release, own) : null
+  };
+}
+
+// ============================================================================
+// Named Matchers ("matchers" section and "use" references)
+// ============================================================================
+
+// Settings of the categories holding the overrides of their generated subcategories: setting -> overrides key
+const GENERATED_OVERRIDES = [
+  ['group-by', 'groups'],
+  ['version-lines', 'lines']
+];
+
+/**
+ * Replace the "use" references to named matchers with the matchers themselves, everywhere matchers
+ * are accepted: categories (at any level, including the group-by and version-lines overrides),
+ * match-any/match-all, latest-match and include/exclude.
+ * A reference becomes an additional match-all item, so it's combined with AND logic with the other matchers.
+ * @param {Object} config - Parsed configuration file
+ * @returns {Object} - Configuration with the references resolved (the original object is not modified)
+ * @throws {Error} if a reference names an undefined matcher, or the named matchers reference each other in a cycle
+ */
+function resolveMatcherReferences(config) {
+  const definitions = (config && config.matchers) || {};
+  const resolved = new Map();
+
+  // Errors keep the path of the problem and the message separately, for the configuration validation
+  const fail = (path, message) => {
+    const error = new Error(`${path}: ${message}`);
+    error.configPath = path;
+    error.detail = message;
+    throw error;
+  };
+
+  const resolveName = (name, path, stack) => {
+    if (!Object.hasOwn(definitions, name)) {
+      const defined = Object.keys(definitions);
+      fail(path, `undefined matcher "${name}"` +
+        (defined.length > 0 ? ` (defined matchers: ${defined.join(', ')})` : ' (there\'s no "matchers" section)'));
+    }
+    if (stack.includes(name)) {
+      fail(`matchers.${stack[0]}`, `named matchers can't reference themselves: ${[...stack, name].join(' -> ')}`);
+    }
+    if (!resolved.has(name)) {
+      const matcher = expandMatcher(definitions[name], `matchers.${name}`, [...stack, name]);
+      matcher[MATCHER_NAME] = name;
+      resolved.set(name, matcher);
+    }
+    return resolved.get(name);
+  };
+
+  const expandMatcher = (matcher, path, stack = []) => {
+    if (!matcher || typeof matcher !== 'object' || Array.isArray(matcher)) return matcher;
+
+    const result = { ...matcher };
+    for (const key of ['match-any', 'match-all']) {
+      if (Array.isArray(result[key])) {
+        result[key] = result[key].map((m, i) => expandMatcher(m, `${path}.${key}[${i}]`, stack));
+      }
+    }
+    if (result.use !== undefined) {
+      const names = Array.isArray(result.use) ? result.use : [result.use];
+      // A lone reference ("- use: name" in a list) is the named matcher itself
+      if (Object.keys(result).length === 1 && names.length === 1) {
+        return resolveName(names[0], `${path}.use`, stack);
+      }
+      delete result.use;
+      result['match-all'] = [...(result['match-all'] || []), ...names.map(name => resolveName(name, `${path}.use`, stack))];
+    }
+    return result;
+  };
+
+  const expandLatestMatch = (latestMatch, path) => {
+    if (Array.isArray(latestMatch)) return latestMatch.map((m, i) => expandMatcher(m, `${path}[${i}]`));
+    return expandMatcher(latestMatch, path);
+  };
+
+  const expandCategory = (category, path) => {
+    const result = expandMatcher(category, path);
+    if (!result || typeof result !== 'object') return result;
+    if (result['latest-match'] !== undefined) {
+      result['latest-match'] = expandLatestMatch(result['latest-match'], `${path}.latest-match`);
+    }
+    if (Array.isArray(result.categories)) {
+      result.categories = result.categories.map((c, i) => expandCategory(c, `${path}.categories[${i}]`));
+    }
+    // Overrides of the generated subcategories are category settings (latest-match, nested categories)
+    for (const [key, field] of GENERATED_OVERRIDES) {
+      const overrides = result[key] && typeof result[key] === 'object' ? result[key][field] : null;
+      if (overrides && typeof overrides === 'object') {
+        const expanded = Object.entries(overrides).map(([value, override]) =>
+          [value, expandCategory(override, `${path}.${key}.${field}.${value}`)]);
+        result[key] = { ...result[key], [field]: Object.fromEntries(expanded) };
+      }
+    }
+    return result;
+  };
+
+  if (!config || typeof config !== 'object') return config;
+
+  // Resolve all the definitions, so that errors in unused ones are reported too
+  for (const name of Object.keys(definitions)) {
+    resolveName(name, `matchers.${name}`, []);
+  }
+
+  const result = { ...config };
+  for (const key of ['include', 'exclude']) {
+    if (result[key] !== undefined) result[key] = expandMatcher(result[key], key);
+  }
+  for (const key of ['defaults', 'unmatched']) {
+    if (result[key] && result[key]['latest-match'] !== undefined) {
+      result[key] = { ...result[key], 'latest-match': expandLatestMatch(result[key]['latest-match'], `${key}.latest-match`) };
+    }
+  }
+  if (Array.isArray(result.categories)) {
+    result.categories = result.categories.map((c, i) => expandCategory(c, `categories[${i}]`));
+  }
+  return result;
+}
+
 module.exports = {
+  parseSize,
+  resolveMatcherReferences,
   testMatcher,
   matchesCategory,
-  matchesFilter
+  matchesFilter,
+  passesGlobalFilters,
+  getOwnMatchers,
+  explainMatcher,
+  explainCategoryMatch,
+  explainFilter
 };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { CONFIG } = require('./config');
+const { getSourceCodeAssets } = require('./github-api');
+
+// "---" delimited YAML front matter at the start of a markdown file
+const FRONT_MATTER = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// ============================================================================
+// Releases from a Directory of Markdown Files
+// ============================================================================
+
+/**
+ * Convert a front matter date (js-yaml parses unquoted timestamps as Date objects) to an ISO string
+ */
+function parseFrontMatterDate(value, fileName) {
+  const date = value instanceof Date ? value : new Date(String(value));
+  if (value === undefined || value === null || isNaN(date.getTime())) {
+    throw new Error(`${fileName}: "date" is required and must be a valid date, got: ${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Convert the front matter assets list (URL strings or { name, url, size } objects) to release assets
+ */
+function parseFrontMatterAssets(assets, fileName) {
+  if (assets === undefined || assets === null) return [];
+  if (!Array.isArray(assets)) {
+    throw new Error(`${fileName}: "assets" must be a list`);
+  }
+
+  return assets.map((asset, index) => {
+    if (typeof asset === 'string') {
+      return { name: decodeURIComponent(asset.split('/').pop()), url: asset, size: null };
+    }
+    if (!asset || typeof asset !== 'object' || !asset.url) {
+      throw new Error(`${fileName}: assets[${index}] must be a URL or an object with "url" (and optionally "name" and "size")`);
+    }
+    return {
+      name: asset.name || decodeURIComponent(String(asset.url).split('/').pop()),
+      url: asset.url,
+      size: asset.size ?? null
+    };
+  });
+}
+
+/**
+ * Parse one release markdown file
+ * @param {string} filePath - Path of the markdown file
+ * @param {string|null} repo - Repository for source code archives and default links
+ * @param {string} dirPath - Directory of the file (default ids are namespaced with the repository or the directory)
+ */
+function parseReleaseFile(filePath, repo, dirPath) {
+  const fileName = path.basename(filePath);
+  const content = fs.readFileSync(filePath, 'utf8');
+  const match = content.match(FRONT_MATTER);
+
+  let meta = {};
+  if (match) {
+    try {
+      meta = yaml.load(match[1]) || {};
+    } catch (err) {
+      throw new Error(`${fileName}: invalid front matter: ${err.message}`);
+    }
+  }
+  const body = (match ? content.slice(match[0].length) : content).trim();
+
+  const tag = meta.tag !== undefined ? String(meta.tag) : fileName.replace(/\.md$/i, '');
+  const author = typeof meta.author === 'string' ? {
+    login: meta.author,
+    avatarUrl: `${CONFIG.webUrl}/${encodeURIComponent(meta.author)}.png`,
+    url: `${CONFIG.webUrl}/${encodeURIComponent(meta.author)}`
+  } : null;
+
+  return {
+    id: meta.id !== undefined ? meta.id : `dir:${repo || dirPath}:${fileName}`,
+    name: meta.title !== undefined ? String(meta.title) : tag,
+    tag,
+    url: meta.url || '',
+    body,
+    prerelease: meta.prerelease === true,
+    draft: meta.draft === true,
+    publishedAt: parseFrontMatterDate(meta.date, fileName),
+    author,
+    assets: [...parseFrontMatterAssets(meta.assets, fileName), ...getSourceCodeAssets(repo, tag)],
+    reactions: null
+  };
+}
+
+/**
+ * Load releases from a directory of markdown files with YAML front matter (--releases-dir).
+ * Front matter keys: tag (default: file name), title (default: tag), date (required),
+ * prerelease, draft, author (GitHub user name), url, id, assets (list of URLs or { name, url, size }).
+ * @param {string} dirPath - Directory containing the *.md files
+ * @param {string|null} repo - Repository for source code archives and default links
+ */
+function loadReleasesFromDir(dirPath, repo = CONFIG.repo) {
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    throw new Error(`Releases directory not found: ${dirPath}`);
+  }
+
+  console.log(`Loading releases from ${dirPath}...`);
+  const releases = fs.readdirSync(dirPath)
+    .filter(name => /\.md$/i.test(name))
+    .map(name => parseReleaseFile(path.join(dirPath, name), repo, dirPath))
+    .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+
+  const tags = new Set();
+  for (const release of releases) {
+    if (tags.has(release.tag)) {
+      throw new Error(`Duplicate release tag in ${dirPath}: ${release.tag}`);
+    }
+    tags.add(release.tag);
+  }
+
+  const oldestListed = releases.length > 0 ? releases[releases.length - 1] : null;
+
+  return {
+    releases,
+    totalCount: releases.length,
+    listedCount: releases.length,
+    oldestListedDate: oldestListed ? oldestListed.publishedAt : null,
+    oldestListedUrl: oldestListed ? oldestListed.url : null,
+    oldestExistingDate: oldestListed ? oldestListed.publishedAt : null,
+    oldestExistingUrl: oldestListed ? oldestListed.url : null
+  };
+}
+
+module.exports = {
+  loadReleasesFromDir
+};
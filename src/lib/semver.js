@@ -0,0 +1,203 @@
+// ============================================================================
+// Semantic Versions
+// ============================================================================
+
+// Version at the end of a tag, after the start of the tag or a separator (e.g. "v1.2.3", "component-v1.2.3-beta.1").
+// Minor and patch numbers are optional ("v2", "v2.4"), missing numbers are 0. A dot after a number is not a
+// separator, so that "v1.2.3.4" has no version instead of "2.3.4".
+const TAG_VERSION = /(?:^|[^0-9A-Za-z.]|(?<!\d)\.)v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/i;
+
+// Version with an optional prefix already removed
+const VERSION = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/i;
+
+// Range comparator: operator and a (possibly partial) version, "x" or "*" are wildcards
+const COMPARATOR = /^(>=|<=|>|<|=|~|\^)?v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+// Parsed ranges, ranges are evaluated once per release and category
+const rangeCache = new Map();
+
+function toVersion(match) {
+  return {
+    major: parseInt(match[1], 10),
+    minor: match[2] !== undefined ? parseInt(match[2], 10) : 0,
+    patch: match[3] !== undefined ? parseInt(match[3], 10) : 0,
+    prerelease: match[4] ? match[4].split('.').map(id => (/^\d+$/.test(id) ? parseInt(id, 10) : id)) : []
+  };
+}
+
+/**
+ * Parse a version string ("1.2.3", "v1.2", "1.2.3-beta.1")
+ * @returns {Object|null} - { major, minor, patch, prerelease } (prerelease is an array of identifiers), null if not a version
+ */
+function parseVersion(str) {
+  const match = String(str).match(VERSION);
+  return match ? toVersion(match) : null;
+}
+
+/**
+ * Extract the version from a tag
+ * @param {string} tag - Tag name
+ * @param {string|null} prefix - Regular expression for the part of the tag before the version
+ *   (null = the version is whatever follows the last separator before the version numbers, e.g. "component-v1.2.3")
+ * @returns {Object|null} - Parsed version, null if the tag has no version (or doesn't start with the prefix)
+ */
+function extractVersion(tag, prefix = null) {
+  if (prefix === null || prefix === undefined) {
+    const match = String(tag).match(TAG_VERSION);
+    // A lone number without "v" is a counter or build number ("misc-1", "build-42"), not a version
+    if (!match || (match[2] === undefined && !/v\d/i.test(match[0]))) return null;
+    return toVersion(match);
+  }
+
+  const prefixMatch = String(tag).match(new RegExp(`^(?:${prefix})`, 'i'));
+  return prefixMatch ? parseVersion(tag.slice(prefixMatch[0].length)) : null;
+}
+
+/**
+ * Compare two versions following semver precedence (prereleases are lower than the release: 2.0.0-beta < 2.0.0)
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) return a[key] - b[key];
+  }
+
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const x = a.prerelease[i];
+    const y = b.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    // Numeric identifiers are lower than alphanumeric ones
+    if (typeof x === 'number' && typeof y === 'number') return x - y;
+    if (typeof x === 'number') return -1;
+    if (typeof y === 'number') return 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+function formatVersion(version) {
+  const base = `${version.major}.${version.minor}.${version.patch}`;
+  return version.prerelease.length > 0 ? `${base}-${version.prerelease.join('.')}` : base;
+}
+
+// Lowest version of a major/minor/patch (lower than any of its prereleases): used for exclusive upper bounds,
+// so that "<3" doesn't include 3.0.0-beta.1
+const lowest = (major, minor, patch) => ({ major, minor, patch, prerelease: [0] });
+const exact = (major, minor, patch, prerelease = []) => ({ major, minor, patch, prerelease });
+
+/**
+ * Convert a range comparator ("<3", ">=2.4", "~1.2.3", "2.x") into simple comparators
+ * @returns {Array} - Array of { op, version } (op is one of >=, >, <=, <, =)
+ */
+function parseComparator(token, range) {
+  const match = token.match(COMPARATOR);
+  if (!match) {
+    throw new Error(`Invalid version range "${range}": can't parse "${token}"`);
+  }
+
+  const op = match[1] || '=';
+  const isWildcard = part => part === undefined || /^[xX*]$/.test(part);
+  const numbers = [match[2], match[3], match[4]];
+  const given = numbers.findIndex(isWildcard) === -1 ? 3 : numbers.findIndex(isWildcard);
+  if (numbers.slice(given).some(part => !isWildcard(part))) {
+    throw new Error(`Invalid version range "${range}": "${token}" has numbers after a wildcard`);
+  }
+  const [major, minor, patch] = numbers.map(part => (isWildcard(part) ? 0 : parseInt(part, 10)));
+  const prerelease = match[5] ? match[5].split('.').map(id => (/^\d+$/.test(id) ? parseInt(id, 10) : id)) : [];
+  if (prerelease.length > 0 && given < 3) {
+    throw new Error(`Invalid version range "${range}": prerelease identifiers require a full version in "${token}"`);
+  }
+
+  // "*", "x", ">=x"...: any version
+  if (given === 0) {
+    return op === '<' || op === '>' ? [{ op: '<', version: lowest(0, 0, 0) }] : [];
+  }
+
+  // Next version after the given numbers: 2 -> 3.0.0, 2.4 -> 2.5.0, 2.4.1 -> 2.4.2
+  const next = given === 1 ? lowest(major + 1, 0, 0) : given === 2 ? lowest(major, minor + 1, 0) : lowest(major, minor, patch + 1);
+  const start = exact(major, minor, patch, prerelease);
+
+  switch (op) {
+    case '=':
+      return given === 3 ? [{ op: '=', version: start }] : [{ op: '>=', version: start }, { op: '<', version: next }];
+    case '>=':
+      return [{ op: '>=', version: start }];
+    case '>':
+      return given === 3 ? [{ op: '>', version: start }] : [{ op: '>=', version: { ...next, prerelease: [] } }];
+    case '<':
+      return [{ op: '<', version: given === 3 ? start : lowest(major, minor, patch) }];
+    case '<=':
+      return given === 3 ? [{ op: '<=', version: start }] : [{ op: '<', version: next }];
+    case '~':
+      // ~1.2.3 = >=1.2.3 <1.3.0, ~1 = >=1.0.0 <2.0.0
+      return [{ op: '>=', version: start }, { op: '<', version: given === 1 ? next : lowest(major, minor + 1, 0) }];
+    case '^': {
+      // ^1.2.3 = >=1.2.3 <2.0.0, ^0.2.3 = >=0.2.3 <0.3.0, ^0.0.3 = >=0.0.3 <0.0.4
+      let upper;
+      if (major > 0 || given === 1) upper = lowest(major + 1, 0, 0);
+      else if (minor > 0 || given === 2) upper = lowest(0, minor + 1, 0);
+      else upper = lowest(0, 0, patch + 1);
+      return [{ op: '>=', version: start }, { op: '<', version: upper }];
+    }
+  }
+  return [];
+}
+
+/**
+ * Parse a version range: space separated comparators that must all match, alternatives separated by "||"
+ * (e.g. ">=2.4 <3", "~1.2 || ^2", "2.x", "1.2 - 2.3"). Partial versions are allowed, missing numbers are 0
+ * except in upper bounds ("<=2.4" includes all the 2.4.x versions).
+ * @returns {Array} - Array of comparator sets (arrays of { op, version })
+ * @throws {Error} if the range is invalid
+ */
+function parseRange(range) {
+  const key = String(range);
+  if (rangeCache.has(key)) return rangeCache.get(key);
+
+  const sets = key.split('||').map(alternative => {
+    const tokens = alternative.trim()
+      .replace(/(\S+)\s+-\s+(\S+)/g, '>=$1 <=$2') // Hyphen range: "1.2 - 2.3"
+      .replace(/(>=|<=|>|<|=|~|\^)\s+/g, '$1')
+      .split(/\s+/)
+      .filter(Boolean);
+    if (tokens.length === 0) {
+      throw new Error(`Invalid version range "${range}": empty range`);
+    }
+    return tokens.flatMap(token => parseComparator(token, range));
+  });
+
+  rangeCache.set(key, sets);
+  return sets;
+}
+
+/**
+ * Check if a version is included in a range
+ * @param {Object} version - Parsed version
+ * @param {string} range - Version range (see parseRange)
+ */
+function satisfies(version, range) {
+  return parseRange(range).some(set => set.every(({ op, version: bound }) => {
+    const comparison = compareVersions(version, bound);
+    switch (op) {
+      case '>=': return comparison >= 0;
+      case '>': return comparison > 0;
+      case '<=': return comparison <= 0;
+      case '<': return comparison < 0;
+      default: return comparison === 0;
+    }
+  }));
+}
+
+module.exports = {
+  parseVersion,
+  extractVersion,
+  compareVersions,
+  formatVersion,
+  parseRange,
+  satisfies
+};
@@ -0,0 +1,256 @@
+const path = require('path');
+const { CONFIG, isUrl, parseRepoArg } = require('./config');
+const { fetchReleasesFromApi, loadReleasesFromFile, getSourceCodeAssets } = require('./github-api');
+const { DEFAULT_GITLAB_URL, fetchReleasesFromGitLab } = require('./gitlab-api');
+const { fetchReleasesFromGitea } = require('./gitea-api');
+const { fetchReleasesFromTags } = require('./tags-source');
+const { loadReleasesFromDir } = require('./releases-dir');
+
+// ============================================================================
+// Release Sources (aggregating several repositories and/or releases files)
+// ============================================================================
+
+/**
+ * Get the release cache file for a repository when several sources are used:
+ * the --cache-file name with the repository appended (e.g. cache.owner-repo.json)
+ */
+function getSourceCacheFile(repo) {
+  if (!CONFIG.cacheFile) return null;
+  const ext = path.extname(CONFIG.cacheFile);
+  const base = CONFIG.cacheFile.slice(0, CONFIG.cacheFile.length - ext.length);
+  return `${base}.${repo.replace('/', '-')}${ext}`;
+}
+
+/**
+ * Resolve a path from the config file relative to the config file directory
+ */
+function resolveConfigPath(filePath, configDir, context) {
+  if (isUrl(filePath)) {
+    throw new Error(`${context}: URLs are not supported here, got: ${filePath}`);
+  }
+  if (path.isAbsolute(filePath)) return filePath;
+  if (isUrl(CONFIG.configPath)) {
+    throw new Error(`${context}: relative paths can't be used with a remote configuration file, got: ${filePath}`);
+  }
+  return path.join(configDir, filePath);
+}
+
+/**
+ * Normalize the "sources" section of the configuration file
+ * @param {Array} sources - Sources as written in the config file (objects, or "owner/repo" strings)
+ * @param {string} configDir - Directory of the config file (relative paths are resolved from it)
+ * @returns {Array} - Array of { type, repo, file, name, cacheFile, project, url, tokenEnv, gitDir, changelog, tagPrefix }
+ */
+function normalizeSources(sources, configDir) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('"sources" must be a non-empty list');
+  }
+
+  return sources.map((source, index) => {
+    const context = `sources[${index}]`;
+
+    // Shorthand: "- owner/repo"
+    if (typeof source === 'string') {
+      source = { repo: source };
+    }
+    if (!source || typeof source !== 'object') {
+      throw new Error(`${context} must be an "owner/repo" string or an object`);
+    }
+
+    let type = source.type;
+    if (!type) {
+      if (source['releases-file']) type = 'file';
+      else if (source['releases-dir']) type = 'dir';
+      else if (source.project !== undefined) type = 'gitlab';
+      else type = 'github';
+    }
+    const repo = source.repo ? parseRepoArg(String(source.repo)) : null;
+    if (repo && !/^[^/\s]+\/[^/\s]+$/.test(repo)) {
+      throw new Error(`${context}.repo must be in owner/repo format, got: ${source.repo}`);
+    }
+
+    const normalized = {
+      type,
+      repo,
+      file: null,
+      name: source.name || null,
+      cacheFile: null,
+      project: null,
+      url: null,
+      tokenEnv: null,
+      gitDir: null,
+      changelog: null,
+      tagPrefix: null
+    };
+
+    switch (type) {
+      case 'github':
+        if (!repo) {
+          throw new Error(`${context}: "repo" is required for GitHub sources`);
+        }
+        normalized.cacheFile = source['cache-file']
+          ? resolveConfigPath(source['cache-file'], configDir, `${context}.cache-file`)
+          : getSourceCacheFile(repo);
+        break;
+      case 'file':
+        if (!source['releases-file']) {
+          throw new Error(`${context}: "releases-file" is required for file sources`);
+        }
+        normalized.file = resolveConfigPath(source['releases-file'], configDir, `${context}.releases-file`);
+        break;
+      case 'dir':
+        if (!source['releases-dir']) {
+          throw new Error(`${context}: "releases-dir" is required for dir sources`);
+        }
+        normalized.file = resolveConfigPath(source['releases-dir'], configDir, `${context}.releases-dir`);
+        break;
+      case 'gitlab':
+        if (source.project === undefined || source.project === null || source.project === '') {
+          throw new Error(`${context}: "project" (ID or full path) is required for GitLab sources`);
+        }
+        normalized.project = String(source.project);
+        normalized.url = (source.url || DEFAULT_GITLAB_URL).replace(/\/+$/, '');
+        normalized.tokenEnv = source['token-env'] || 'GITLAB_TOKEN';
+        break;
+      case 'gitea':
+      case 'forgejo':
+        if (!repo) {
+          throw new Error(`${context}: "repo" is required for ${type} sources`);
+        }
+        if (!source.url) {
+          throw new Error(`${context}: "url" (instance base URL) is required for ${type} sources`);
+        }
+        normalized.url = String(source.url).replace(/\/+$/, '');
+        normalized.tokenEnv = source['token-env'] || (type === 'forgejo' ? 'FORGEJO_TOKEN' : 'GITEA_TOKEN');
+        break;
+      case 'tags':
+        if (!repo && !source['git-dir']) {
+          throw new Error(`${context}: "repo" or "git-dir" is required for tags sources`);
+        }
+        if (source['git-dir']) {
+          normalized.gitDir = resolveConfigPath(source['git-dir'], configDir, `${context}.git-dir`);
+        }
+        if (source.changelog !== undefined && source.changelog !== null && source.changelog !== false && typeof source.changelog !== 'string') {
+          throw new Error(`${context}.changelog must be a path, a URL or false`);
+        }
+        normalized.changelog = source.changelog ?? null;
+        normalized.tagPrefix = source['tag-prefix'] ?? null;
+        break;
+      default:
+        throw new Error(`${context}: unknown source type "${type}"`);
+    }
+
+    return normalized;
+  });
+}
+
+function describeSource(source) {
+  switch (source.type) {
+    case 'file':
+    case 'dir': return source.file;
+    case 'gitlab': return `${source.url}/${source.project}`;
+    case 'gitea':
+    case 'forgejo': return `${source.url}/${source.repo}`;
+    case 'tags': return `tags of ${source.gitDir || source.repo}`;
+    default: return source.repo;
+  }
+}
+
+/**
+ * Fetch the releases of one source, tagged with their origin repository
+ */
+async function fetchSourceReleases(source, maxReleases) {
+  let releaseData;
+  let repo = source.repo;
+
+  if (source.type === 'file') {
+    releaseData = loadReleasesFromFile(source.file);
+    repo = repo || releaseData.repository;
+
+    if (repo) {
+      releaseData.releases = releaseData.releases.map(r => ({
+        ...r,
+        assets: [...(r.assets || []), ...getSourceCodeAssets(repo, r.tag)]
+      }));
+    }
+    if (maxReleases !== false && releaseData.releases.length > maxReleases) {
+      releaseData.releases = releaseData.releases.slice(0, maxReleases);
+    }
+  } else if (source.type === 'dir') {
+    releaseData = loadReleasesFromDir(source.file, repo);
+    if (maxReleases !== false && releaseData.releases.length > maxReleases) {
+      releaseData.releases = releaseData.releases.slice(0, maxReleases);
+    }
+  } else if (source.type === 'gitlab') {
+    console.log(`Fetching releases from GitLab project ${describeSource(source)}...`);
+    releaseData = await fetchReleasesFromGitLab(maxReleases, source.project, {
+      baseUrl: source.url,
+      token: process.env[source.tokenEnv] || null
+    });
+    repo = releaseData.repository;
+  } else if (source.type === 'gitea' || source.type === 'forgejo') {
+    console.log(`Fetching releases from ${describeSource(source)}...`);
+    releaseData = await fetchReleasesFromGitea(maxReleases, repo, {
+      baseUrl: source.url,
+      token: process.env[source.tokenEnv] || null,
+      platform: source.type
+    });
+  } else if (source.type === 'tags') {
+    releaseData = await fetchReleasesFromTags(maxReleases, source);
+  } else {
+    console.log(`Fetching releases from ${repo}...`);
+    releaseData = await fetchReleasesFromApi(maxReleases, repo, source.cacheFile);
+  }
+
+  releaseData.releases = releaseData.releases.map(r => ({
+    ...r,
+    repo: r.repo || repo,
+    ...(source.name ? { sourceName: source.name } : {})
+  }));
+
+  return releaseData;
+}
+
+/**
+ * Fetch releases from all the configured sources and merge them into one list (newest first).
+ * maxReleases applies to each source and to the merged list.
+ */
+async function fetchReleasesFromSources(sources, maxReleases = false) {
+  let totalCount = 0;
+  let oldestExisting = null;
+  let releases = [];
+
+  for (const source of sources) {
+    const releaseData = await fetchSourceReleases(source, maxReleases);
+    console.log(`  ${describeSource(source)}: ${releaseData.totalCount} releases, fetched ${releaseData.releases.length}`);
+
+    totalCount += releaseData.totalCount;
+    releases.push(...releaseData.releases);
+
+    if (releaseData.oldestExistingDate && (!oldestExisting || new Date(releaseData.oldestExistingDate) < new Date(oldestExisting.date))) {
+      oldestExisting = { date: releaseData.oldestExistingDate, url: releaseData.oldestExistingUrl };
+    }
+  }
+
+  releases.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+  if (maxReleases !== false && releases.length > maxReleases) {
+    releases = releases.slice(0, maxReleases);
+  }
+
+  const oldestListed = releases.length > 0 ? releases[releases.length - 1] : null;
+
+  return {
+    releases,
+    totalCount,
+    listedCount: releases.length,
+    oldestListedDate: oldestListed ? oldestListed.publishedAt : null,
+    oldestListedUrl: oldestListed ? oldestListed.url : null,
+    oldestExistingDate: oldestExisting ? oldestExisting.date : null,
+    oldestExistingUrl: oldestExisting ? oldestExisting.url : null
+  };
+}
+
+module.exports = {
+  normalizeSources,
+  fetchReleasesFromSources
+};
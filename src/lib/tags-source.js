@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { CONFIG, isUrl, fetchUrl } = require('./config');
+const { getSourceCodeAssets } = require('./github-api');
+const { githubFetch, ensureRateLimitBudget } = require('./http');
+const { runGraphQLQuery } = require('./github-graphql');
+
+// Maximum page size allowed by the GitHub tags API
+const TAGS_PER_PAGE = 100;
+
+// Tags with their dates (tagger date of annotated tags, commit date of lightweight tags) and annotations
+const TAGS_QUERY = `
+  query($owner: String!, $name: String!, $pageSize: Int!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      refs(refPrefix: "refs/tags/", first: $pageSize, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          name
+          target {
+            ... on Commit { committedDate }
+            ... on Tag {
+              message
+              tagger { date }
+              target { ... on Commit { committedDate } }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Keep a Changelog version heading: "## [1.2.0] - 2024-01-31" (brackets, date and suffixes like [YANKED] are optional)
+const CHANGELOG_HEADING = /^##\s+\[?([^\]\s]+)\]?(?:\s*[-–—]\s*(\d{4}-\d{2}-\d{2}))?/;
+
+// Link reference definitions usually found at the end of a Keep a Changelog file: "[1.2.0]: https://..."
+const LINK_REFERENCE = /^\s*\[[^\]]+\]:\s*\S+\s*$/;
+
+// ============================================================================
+// Releases from Git Tags and a Changelog File
+// ============================================================================
+
+/**
+ * Split a changelog in Keep a Changelog format into per-version sections
+ * @param {string} content - Changelog markdown
+ * @returns {Map} - version -> { date, body } ("Unreleased" is skipped)
+ */
+function parseChangelog(content) {
+  const sections = new Map();
+  let current = null;
+
+  // Link reference definitions only end the changelog after the last version heading,
+  // the sections themselves can contain some ("[#12]: https://...")
+  const lines = content.split(/\r?\n/);
+  let lastHeading = -1;
+  lines.forEach((line, index) => {
+    if (CHANGELOG_HEADING.test(line)) lastHeading = index;
+  });
+
+  const closeSection = () => {
+    if (!current) return;
+    current.body = current.lines.join('\n').trim();
+    delete current.lines;
+  };
+
+  lines.forEach((line, index) => {
+    const heading = line.match(CHANGELOG_HEADING);
+    if (heading) {
+      closeSection();
+      current = null;
+      if (heading[1].toLowerCase() !== 'unreleased') {
+        current = { date: heading[2] || null, lines: [] };
+        sections.set(heading[1], current);
+      }
+      return;
+    }
+    // A top level heading or the link reference definitions at the end of the file end the changelog content
+    if (/^#\s/.test(line) || (index > lastHeading && LINK_REFERENCE.test(line))) {
+      closeSection();
+      current = null;
+      return;
+    }
+    if (current) {
+      current.lines.push(line);
+    }
+  });
+  closeSection();
+
+  return sections;
+}
+
+/**
+ * Find the changelog section of a tag
+ * @param {Map} changelog - As returned by parseChangelog
+ * @param {string} tag - Tag name
+ * @param {string|null} tagPrefix - Prefix to remove from tags to get the version (null = try with and without "v")
+ */
+function findChangelogSection(changelog, tag, tagPrefix) {
+  if (tagPrefix !== null) {
+    return tag.startsWith(tagPrefix) ? changelog.get(tag.slice(tagPrefix.length)) || null : null;
+  }
+  return changelog.get(tag) || changelog.get(tag.replace(/^v/i, '')) || null;
+}
+
+/**
+ * Check if a tag is a semver prerelease (e.g. v1.0.0-beta.1)
+ */
+function isPrereleaseTag(tag, tagPrefix) {
+  const version = tagPrefix !== null && tag.startsWith(tagPrefix) ? tag.slice(tagPrefix.length) : tag.replace(/^v/i, '');
+  return /^\d+(\.\d+)*-\w/.test(version);
+}
+
+/**
+ * List the tags of a local git checkout
+ * @returns {Array} - Array of { name, date, message }
+ */
+function listLocalTags(gitDir) {
+  let output;
+  try {
+    output = execFileSync('git', [
+      '-C', gitDir, 'for-each-ref', 'refs/tags',
+      '--format=%(refname:short)%00%(creatordate:iso-strict)%00%(objecttype)%00%(contents:subject)%00%(contents:body)%1e'
+    ], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+  } catch (err) {
+    throw new Error(`Could not read the tags of ${gitDir}: ${err.message}`);
+  }
+
+  return output.split('\x1e')
+    .map(record => record.replace(/^\n/, ''))
+    .filter(record => record.length > 0)
+    .map(record => {
+      const [name, date, objectType, subject, body] = record.split('\0');
+      // Only annotated tags have their own message (lightweight tags point directly to a commit)
+      const message = objectType === 'tag' ? [subject, body].filter(Boolean).join('\n\n').trim() : '';
+      return { name, date, message };
+    });
+}
+
+/**
+ * List the tags of a GitHub repository with their dates and annotations, in bulk with the GraphQL API
+ * (like for a local checkout: tagger date of annotated tags, commit date of lightweight tags)
+ * @returns {Array} - Array of { name, date, message }
+ */
+async function listGraphQLTags(repoName) {
+  const [owner, name] = repoName.split('/');
+  const tags = [];
+  let cursor = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const data = await runGraphQLQuery(TAGS_QUERY, { owner, name, pageSize: TAGS_PER_PAGE, cursor });
+    if (!data.repository) {
+      throw new Error(`Repository not found: ${repoName}`);
+    }
+    const connection = data.repository.refs;
+    for (const ref of connection.nodes) {
+      const target = ref.target || {};
+      const date = (target.tagger && target.tagger.date) || target.committedDate ||
+        (target.target && target.target.committedDate) || null;
+      tags.push({ name: ref.name, date, message: (target.message || '').trim() });
+    }
+    hasNextPage = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+  }
+  return tags;
+}
+
+/**
+ * List the tags of a GitHub repository without a token (the GraphQL API requires one).
+ * Tags have no date in the REST API, so the date of the tagged commit is fetched for those not dated by the changelog.
+ * @returns {Array} - Array of { name, date, message }
+ */
+async function listApiTags(repoName, isDated) {
+  const tags = [];
+  for (let page = 1; ; page++) {
+    const response = await githubFetch(`${CONFIG.apiUrl}/repos/${repoName}/tags?page=${page}&per_page=${TAGS_PER_PAGE}`);
+    if (!response.ok) {
+      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    tags.push(...data);
+    if (data.length < TAGS_PER_PAGE) break;
+  }
+
+  const undated = tags.filter(t => !isDated(t.name));
+  if (undated.length > 0) {
+    await ensureRateLimitBudget(undated.length, 'Getting the dates of tags not found in the changelog');
+    console.log(`Getting the commit dates of ${undated.length} tag(s)...`);
+  }
+
+  const result = [];
+  for (const tag of tags) {
+    let date = null;
+    if (!isDated(tag.name)) {
+      const response = await githubFetch(`${CONFIG.apiUrl}/repos/${repoName}/commits/${tag.commit.sha}`);
+      if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+      }
+      const commit = await response.json();
+      date = commit.commit.committer.date;
+    }
+    result.push({ name: tag.name, date, message: '' });
+  }
+  return result;
+}
+
+/**
+ * Load the changelog file of a tags source
+ * @returns {string|null} - Changelog content, null if there's none
+ */
+async function loadChangelog(source) {
+  if (source.changelog === false) return null;
+
+  if (isUrl(source.changelog)) {
+    console.log(`Loading changelog from ${source.changelog}...`);
+    return fetchUrl(source.changelog);
+  }
+
+  const changelogPath = source.changelog || 'CHANGELOG.md';
+
+  if (source.gitDir) {
+    const filePath = path.join(source.gitDir, changelogPath);
+    if (!fs.existsSync(filePath)) {
+      console.warn(`Changelog not found: ${filePath}`);
+      return null;
+    }
+    console.log(`Loading changelog from ${filePath}...`);
+    return fs.readFileSync(filePath, 'utf8');
+  }
+
+  console.log(`Loading changelog ${changelogPath} from ${source.repo}...`);
+  const response = await githubFetch(`${CONFIG.apiUrl}/repos/${source.repo}/contents/${changelogPath.split('/').map(encodeURIComponent).join('/')}`, {
+    headers: { 'Accept': 'application/vnd.github.raw+json' }
+  });
+  if (response.status === 404) {
+    console.warn(`Changelog ${changelogPath} not found in ${source.repo}`);
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  }
+  return response.text();
+}
+
+/**
+ * Build synthetic releases from the tags of a repository (GitHub API or local checkout),
+ * taking the release notes and dates from a changelog file in Keep a Changelog format
+ * (or from the tag annotation when the changelog has no section for the tag).
+ * @param {number|false} maxReleases - Maximum number of releases to return (false = all)
+ * @param {Object} source - Normalized "tags" source: { repo, gitDir, changelog, tagPrefix }
+ */
+async function fetchReleasesFromTags(maxReleases, source) {
+  const changelogContent = await loadChangelog(source);
+  const changelog = changelogContent ? parseChangelog(changelogContent) : new Map();
+  const getSection = tag => findChangelogSection(changelog, tag, source.tagPrefix);
+
+  let tags;
+  if (source.gitDir) {
+    console.log(`Reading tags from ${source.gitDir}...`);
+    tags = listLocalTags(source.gitDir);
+  } else {
+    console.log(`Fetching tags from ${source.repo}...`);
+    tags = CONFIG.token
+      ? await listGraphQLTags(source.repo)
+      : await listApiTags(source.repo, tag => {
+        const section = getSection(tag);
+        return !!(section && section.date);
+      });
+  }
+
+  const repo = source.repo;
+  const allReleases = tags.map(tag => {
+    const section = getSection(tag.name);
+    return {
+      id: `tag:${repo || source.gitDir}:${tag.name}`,
+      name: tag.name,
+      tag: tag.name,
+      url: repo ? `${CONFIG.webUrl}/${repo}/tree/${encodeURIComponent(tag.name)}` : '',
+      body: section && section.body ? section.body : tag.message,
+      prerelease: isPrereleaseTag(tag.name, source.tagPrefix),
+      draft: false,
+      publishedAt: section && section.date ? `${section.date}T00:00:00Z` : tag.date,
+      author: null,
+      assets: getSourceCodeAssets(repo, tag.name),
+      reactions: null
+    };
+  }).sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+
+  const withNotes = allReleases.filter(r => r.body).length;
+  console.log(`Found ${allReleases.length} tags, ${withNotes} with release notes`);
+
+  const releases = maxReleases !== false ? allReleases.slice(0, maxReleases) : allReleases;
+  const oldestListed = releases.length > 0 ? releases[releases.length - 1] : null;
+  const oldestExisting = allReleases.length > 0 ? allReleases[allReleases.length - 1] : null;
+
+  return {
+    releases,
+    totalCount: allReleases.length,
+    listedCount: releases.length,
+    oldestListedDate: oldestListed ? oldestListed.publishedAt : null,
+    oldestListedUrl: oldestListed ? oldestListed.url : null,
+    oldestExistingDate: oldestExisting ? oldestExisting.publishedAt : null,
+    oldestExistingUrl: oldestExisting ? oldestExisting.url : null
+  };
+}
+
+module.exports = {
+  fetchReleasesFromTags
+};
@@ -1,4 +1,6 @@
-const { matchesCategory, testMatcher } = require('./matcher');
+const { matchesCategory, testMatcher, getOwnMatchers } = require('./matcher');
+const { parseCutoffDate } = require('./dates');
+const { extractVersion, compareVersions } = require('./semver');
 
 // ============================================================================
 // Tree Building
@@ -20,56 +22,143 @@ function validateMaxDisplayed(value, context) {
 }
 
 /**
- * Parse a cutoff date string and return a Date object
- * Supports:
- * - ISO date/datetime strings (e.g., "2022-01-01", "2022-01-01T00:00:00Z")
- * - Relative dates: -1d (days), -1w (weeks), -1m (months), -1y (years)
- * - false = no cutoff
- * @param {string|false|null} cutoffDate - Cutoff date specification
- * @returns {Date|false|null} - Date object, false (disabled), or null (invalid)
+ * Compute a cutoff date
+ * @param {string|Date|false|null} cutoffDate - Configured cutoff date (ISO or relative date)
+ * @param {string} anchor - What relative dates are relative to: "now" or "newest" (the newest release)
+ * @param {Array} releases - Releases the cutoff date applies to
+ * @returns {Date|false|null} - Date object, false (disabled), or null (not set)
  */
-function parseCutoffDate(cutoffDate) {
-  if (cutoffDate === false) return false;
-  if (!cutoffDate) return null;
-
-  // Check for relative date format: -Nd, -Nw, -Nm, -Ny
-  const relativeMatch = String(cutoffDate).match(/^-(\d+)([dwmy])$/i);
-  if (relativeMatch) {
-    const amount = parseInt(relativeMatch[1], 10);
-    const unit = relativeMatch[2].toLowerCase();
-    const now = new Date();
-
-    switch (unit) {
-      case 'd':
-        now.setDate(now.getDate() - amount);
-        break;
-      case 'w':
-        now.setDate(now.getDate() - amount * 7);
-        break;
-      case 'm':
-        now.setMonth(now.getMonth() - amount);
-        break;
-      case 'y':
-        now.setFullYear(now.getFullYear() - amount);
-        break;
-    }
-    return now;
+function resolveCutoffDate(cutoffDate, anchor, releases) {
+  if (anchor === 'newest' && releases.length > 0) {
+    const newest = Math.max(...releases.map(r => new Date(r.publishedAt).getTime()));
+    return parseCutoffDate(cutoffDate, new Date(newest));
   }
-
-  // Otherwise parse as ISO date
-  return new Date(cutoffDate);
+  return parseCutoffDate(cutoffDate);
 }
 
 /**
  * Filter releases by cutoff date
  * @param {Array} releases - Array of release objects
  * @param {Date|false|null} cutoffDate - Cutoff date (releases on or before are excluded), false = no filter
+ * @param {number|false|null} minReleases - Number of newest releases kept even if older than the cutoff date
  * @returns {Array}
  */
-function filterByCutoffDate(releases, cutoffDate) {
+function filterByCutoffDate(releases, cutoffDate, minReleases = false) {
   // false means explicitly disabled, null means not set
   if (cutoffDate === false || !cutoffDate) return releases;
-  return releases.filter(r => new Date(r.publishedAt) > cutoffDate);
+  const newestIds = new Set(minReleases ? [...releases].sort(byDateDesc).slice(0, minReleases).map(r => r.id) : []);
+  return releases.filter(r => new Date(r.publishedAt) > cutoffDate || newestIds.has(r.id));
+}
+
+const byDateDesc = (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt);
+const compareText = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compare the versions in the tags (direction: 1 = ascending, -1 = descending), releases without a version go last
+ */
+function compareTagVersions(a, b, direction) {
+  const versionA = extractVersion(a.tag || '');
+  const versionB = extractVersion(b.tag || '');
+  if (!versionA || !versionB) return (versionA ? 0 : 1) - (versionB ? 0 : 1);
+  return direction * compareVersions(versionA, versionB);
+}
+
+// Release sort orders (ties are sorted by date, newest first)
+const SORT_ORDERS = {
+  'date': byDateDesc,
+  'date-asc': (a, b) => byDateDesc(b, a),
+  'version': (a, b) => compareTagVersions(a, b, -1),
+  'version-asc': (a, b) => compareTagVersions(a, b, 1),
+  'title': (a, b) => compareText(a.name || '', b.name || ''),
+  'tag': (a, b) => compareText(a.tag || '', b.tag || '')
+};
+
+/**
+ * Sort releases in place
+ * @param {Array} releases - Array of release objects
+ * @param {string|null} order - Sort order: "date" (default, newest first), "date-asc", "version" (highest
+ *   version in the tag first), "version-asc", "title" or "tag" (natural order: "v2" before "v10").
+ *   With the date order, releases marked as latest are moved to the top.
+ * @returns {Array} - The sorted releases
+ */
+function sortReleases(releases, order = 'date') {
+  const compare = SORT_ORDERS[order || 'date'];
+  if (!compare) {
+    throw new Error(`Invalid sort order "${order}", expected one of: ${Object.keys(SORT_ORDERS).join(', ')}`);
+  }
+
+  const pinLatest = (order || 'date') === 'date';
+  return releases.sort((a, b) => {
+    if (pinLatest && a.isLatest !== b.isLatest) return a.isLatest ? -1 : 1;
+    return compare(a, b) || byDateDesc(a, b);
+  });
+}
+
+// ============================================================================
+// Retention (keep-last)
+// ============================================================================
+
+// Version line of a parsed version
+const LINE_KEYS = {
+  major: version => `${version.major}`,
+  minor: version => `${version.major}.${version.minor}`
+};
+
+/**
+ * Find the releases pruned by a keep-last setting. All the rules are applied (a release must be kept by
+ * all of them), version rules don't prune releases without a version in the tag.
+ * @param {Array} releases - Releases of a category
+ * @param {number|Object|false|null} keepLast - Number of newest releases to keep, or an object:
+ *   { releases, major-lines, minor-lines, per-major, per-minor, prefix } (e.g. { minor-lines: 3 } keeps the
+ *   releases of the 3 highest minor versions, { per-minor: 1 } keeps the highest patch of each minor version)
+ * @returns {Map} - Pruned releases: release id -> reason
+ */
+function findPrunedReleases(releases, keepLast) {
+  const pruned = new Map();
+  if (!keepLast) return pruned;
+
+  const spec = typeof keepLast === 'number' ? { releases: keepLast } : keepLast;
+  const prune = (release, reason) => {
+    if (!pruned.has(release.id)) pruned.set(release.id, reason);
+  };
+
+  if (spec.releases) {
+    for (const release of [...releases].sort(byDateDesc).slice(spec.releases)) {
+      prune(release, `not among the ${spec.releases} newest release(s)`);
+    }
+  }
+
+  // Highest versions first
+  const versioned = releases
+    .map(release => ({ release, version: extractVersion(release.tag || '', spec.prefix ?? null) }))
+    .filter(entry => entry.version)
+    .sort((a, b) => compareVersions(b.version, a.version));
+
+  for (const [by, lineKey] of Object.entries(LINE_KEYS)) {
+    const lineCount = spec[`${by}-lines`];
+    if (lineCount) {
+      const keptLines = [...new Set(versioned.map(entry => lineKey(entry.version)))].slice(0, lineCount);
+      for (const entry of versioned) {
+        if (!keptLines.includes(lineKey(entry.version))) {
+          prune(entry.release, `not in the ${lineCount} highest ${by} version line(s)`);
+        }
+      }
+    }
+
+    const perLine = spec[`per-${by}`];
+    if (perLine) {
+      const seen = new Map();
+      for (const entry of versioned) {
+        const key = lineKey(entry.version);
+        seen.set(key, (seen.get(key) || 0) + 1);
+        if (seen.get(key) > perLine) {
+          prune(entry.release, `not among the ${perLine} highest version(s) of the ${key}.x line`);
+        }
+      }
+    }
+  }
+
+  return pruned;
 }
 
 /**
@@ -80,9 +169,11 @@ function filterByCutoffDate(releases, cutoffDate) {
  *   - "newest": only the newest release gets the badge
  *   - null/undefined: same as "newest"
  *   - Array: custom matchers
+ * @param {Map|null} releaseStatuses - Lifecycle status of each release (for the category-status matcher):
+ *   release id -> { depth, status }, from getReleaseStatuses (null: all the releases are active)
  * @returns {Array} - Array of release IDs that should be marked as latest
  */
-function findLatestReleases(releases, latestMatch) {
+function findLatestReleases(releases, latestMatch, releaseStatuses = null) {
   if (releases.length === 0) return [];
 
   // false = no latest badge
@@ -95,7 +186,12 @@ function findLatestReleases(releases, latestMatch) {
 
   // Array of matchers - find all matching releases
   // First, temporarily mark the newest as latest for is-latest matcher to work
-  const tempReleases = releases.map((r, i) => ({ ...r, isLatest: i === 0 }));
+  // (and set the lifecycle status of each release for the category-status matcher)
+  const tempReleases = releases.map((r, i) => ({
+    ...r,
+    isLatest: i === 0,
+    categoryStatus: releaseStatuses && releaseStatuses.has(r.id) ? releaseStatuses.get(r.id).status : null
+  }));
 
   const latestIds = [];
   for (const release of tempReleases) {
@@ -112,6 +208,306 @@ function findLatestReleases(releases, latestMatch) {
   return latestIds;
 }
 
+// ============================================================================
+// Lifecycle Status (status, support-until, end-of-life)
+// ============================================================================
+
+// Lifecycle statuses, in the order a product line goes through them
+const LIFECYCLE_STATUSES = ['active', 'maintenance', 'eol'];
+const LIFECYCLE_KEYS = ['status', 'support-until', 'end-of-life'];
+
+/**
+ * Compute the lifecycle status of a category. The dates can only move the status forward: a category
+ * is in maintenance once its support-until date has passed, and end of life once its end-of-life date has.
+ * Categories without any lifecycle key inherit the lifecycle of their parent (null values stop the inheritance).
+ * @param {Object} node - Category configuration
+ * @param {Object|null} inherited - Lifecycle of the parent category
+ * @returns {Object|null} - { status, supportUntil, endOfLife, inherited } (dates as ISO strings), null if none
+ */
+function getLifecycle(node, inherited = null) {
+  if (!LIFECYCLE_KEYS.some(key => Object.hasOwn(node, key))) {
+    return inherited ? { ...inherited, inherited: true } : null;
+  }
+
+  const now = new Date();
+  const supportUntil = node['support-until'] ? parseCutoffDate(node['support-until']) : null;
+  const endOfLife = node['end-of-life'] ? parseCutoffDate(node['end-of-life']) : null;
+  if (!node.status && !supportUntil && !endOfLife) return null;
+
+  let index = node.status ? LIFECYCLE_STATUSES.indexOf(node.status) : 0;
+  if (supportUntil && supportUntil <= now) index = Math.max(index, 1);
+  if (endOfLife && endOfLife <= now) index = Math.max(index, 2);
+
+  return {
+    status: LIFECYCLE_STATUSES[index],
+    supportUntil: supportUntil ? supportUntil.toISOString() : null,
+    endOfLife: endOfLife ? endOfLife.toISOString() : null,
+    inherited: false
+  };
+}
+
+/**
+ * Get the lifecycle status of each release displayed in a category or its subcategories: the status of
+ * the deepest category displaying it (the most active one if there are several at that depth), so that
+ * a release of an end-of-life version line is "eol" in the parent category too
+ * @param {Object} entry - Matched category (from matchNode in classifyReleases)
+ * @param {Map} excluded - Releases excluded from the category by exclusive categorization
+ * @returns {Map} - Release id -> { depth, status } (depth relative to the category); the maps of the
+ *   subcategories are stored in their "releaseStatuses" property
+ */
+function getReleaseStatuses(entry, excluded) {
+  const statuses = new Map();
+  const rank = status => LIFECYCLE_STATUSES.indexOf(status);
+
+  const childExclusions = excludeFromSiblings(entry.children, entry.settings.exclusive, excluded);
+  entry.children.forEach((child, index) => {
+    child.releaseStatuses = getReleaseStatuses(child, childExclusions[index]);
+    for (const [id, { depth, status }] of child.releaseStatuses) {
+      const current = statuses.get(id);
+      if (!current || depth + 1 > current.depth || (depth + 1 === current.depth && rank(status) < rank(current.status))) {
+        statuses.set(id, { depth: depth + 1, status });
+      }
+    }
+  });
+
+  const status = entry.settings.lifecycle ? entry.settings.lifecycle.status : 'active';
+  for (const release of entry.matched) {
+    if (!excluded.has(release.id) && !statuses.has(release.id)) {
+      statuses.set(release.id, { depth: 0, status });
+    }
+  }
+  return statuses;
+}
+
+// ============================================================================
+// Dynamic Categories (group-by, version-lines)
+// ============================================================================
+
+// Releases of a category generated by "group-by" or "version-lines" (generated categories have no matchers)
+const GROUP = Symbol('GROUP');
+
+// Release fields that can be grouped by
+const GROUP_FIELDS = {
+  tag: r => r.tag,
+  title: r => r.name,
+  repo: r => r.repo
+};
+
+const compareNames = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+
+// Order of the generated categories
+const GROUP_SORTS = {
+  'name': compareNames,
+  'name-desc': (a, b) => compareNames(b, a),
+  'newest': (a, b) => new Date(b[GROUP].newest) - new Date(a[GROUP].newest) || compareNames(a, b),
+  'count': (a, b) => b[GROUP].releaseIds.size - a[GROUP].releaseIds.size || compareNames(a, b)
+};
+
+/**
+ * Replace the "{group}" placeholders of a template with the captured values
+ */
+function fillTemplate(template, captures) {
+  return template.replace(/\{([A-Za-z_$][\w$]*)\}/g, (placeholder, key) =>
+    (captures[key] !== undefined ? captures[key] : placeholder));
+}
+
+/**
+ * Check if a release is matched by a category, generated (group-by, version-lines) or from the configuration
+ */
+function matchesTreeCategory(release, node, parentMatches, inheritMode) {
+  return node[GROUP] ? node[GROUP].releaseIds.has(release.id) : matchesCategory(release, node, parentMatches, inheritMode);
+}
+
+/**
+ * Get the releases split into generated subcategories: those of the category, all of them if it has
+ * no matchers (container)
+ */
+function getGroupedReleases(node, releases, releaseMatches, inherits) {
+  return getOwnMatchers(node) || inherits ? releases.filter(r => releaseMatches.get(r.id)) : releases;
+}
+
+/**
+ * Generate the subcategories of a category with "group-by": one per distinct value of a named capture
+ * group of the pattern, containing the releases with that value
+ * @param {Object} node - Category configuration
+ * @param {Array} releases - All the releases
+ * @param {Map} releaseMatches - Match results of the category (release id -> boolean)
+ * @param {boolean} inherits - Whether the category inherits its parent's matchers
+ * @returns {Array} - Category configurations (with per-group overrides applied), sorted
+ * @throws {Error} if the capture group doesn't exist in the pattern
+ */
+function generateGroupCategories(node, releases, releaseMatches, inherits) {
+  const groupBy = node['group-by'];
+  const context = `Category "${node.name}" group-by`;
+  const grouped = getGroupedReleases(node, releases, releaseMatches, inherits);
+
+  const pattern = new RegExp(groupBy.pattern, 'i');
+  // Matching the empty alternative gives the names of all the capture groups
+  const groupNames = Object.keys(new RegExp(`${groupBy.pattern}|`).exec('').groups || {});
+  const group = groupBy.group || groupNames[0];
+  if (!groupNames.includes(group)) {
+    throw new Error(groupBy.group
+      ? `${context}.group: the pattern has no capture group named "${group}"`
+      : `${context}.pattern must contain a named capture group, e.g. "^(?<package>[^@]+)@"`);
+  }
+  const getField = GROUP_FIELDS[groupBy.field || 'tag'];
+
+  const groups = new Map();
+  for (const release of grouped) {
+    const match = pattern.exec(getField(release) || '');
+    const value = match ? match.groups[group] : undefined;
+    if (value === undefined || value === '') continue;
+
+    const entry = groups.get(value);
+    if (!entry) {
+      groups.set(value, { value, captures: match.groups, newest: release.publishedAt, releaseIds: new Set([release.id]) });
+      continue;
+    }
+    entry.releaseIds.add(release.id);
+    // Templates use the captures of the newest release
+    if (new Date(release.publishedAt) > new Date(entry.newest)) {
+      entry.captures = match.groups;
+      entry.newest = release.publishedAt;
+    }
+  }
+
+  const overrides = groupBy.groups || {};
+  const categories = [];
+  for (const entry of groups.values()) {
+    const override = overrides[entry.value];
+    if (override === false) continue;
+
+    const generated = { name: fillTemplate(groupBy.name || `{${group}}`, entry.captures) };
+    for (const key of ['tooltip', 'description']) {
+      if (groupBy[key]) generated[key] = fillTemplate(groupBy[key], entry.captures);
+    }
+    categories.push({ ...generated, ...override, [GROUP]: { field: groupBy.field || 'tag', pattern: groupBy.pattern, group, ...entry } });
+  }
+
+  return categories.sort(GROUP_SORTS[groupBy.sort || 'name']);
+}
+
+/**
+ * Generate the subcategories of a category with "version-lines": one per major version ("v3.x")
+ * or minor version ("v3.2.x") found in the tags, newest line first by default
+ * @param {Object} node - Category configuration
+ * @param {Array} releases - All the releases
+ * @param {Map} releaseMatches - Match results of the category (release id -> boolean)
+ * @param {boolean} inherits - Whether the category inherits its parent's matchers
+ * @returns {Array} - Category configurations (with per-line overrides applied), sorted
+ */
+function generateVersionCategories(node, releases, releaseMatches, inherits) {
+  const spec = typeof node['version-lines'] === 'string' ? { by: node['version-lines'] } : node['version-lines'];
+  const by = spec.by || 'major';
+  const prefix = spec.prefix ?? null;
+
+  const lines = new Map();
+  for (const release of getGroupedReleases(node, releases, releaseMatches, inherits)) {
+    // Releases without a version in the tag stay in the category only
+    const version = extractVersion(release.tag || '', prefix);
+    if (!version) continue;
+
+    const value = by === 'minor' ? `${version.major}.${version.minor}` : `${version.major}`;
+    if (!lines.has(value)) {
+      const captures = { major: version.major, minor: version.minor };
+      lines.set(value, { value, captures, newest: release.publishedAt, releaseIds: new Set() });
+    }
+    const entry = lines.get(value);
+    entry.releaseIds.add(release.id);
+    if (new Date(release.publishedAt) > new Date(entry.newest)) {
+      entry.newest = release.publishedAt;
+    }
+  }
+
+  const overrides = spec.lines || {};
+  const defaultName = by === 'minor' ? 'v{major}.{minor}.x' : 'v{major}.x';
+  const categories = [];
+  for (const entry of lines.values()) {
+    const override = overrides[entry.value];
+    if (override === false) continue;
+
+    const generated = { name: fillTemplate(spec.name || defaultName, entry.captures) };
+    for (const key of ['tooltip', 'description']) {
+      if (spec[key]) generated[key] = fillTemplate(spec[key], entry.captures);
+    }
+    categories.push({ ...generated, ...override, [GROUP]: { by, prefix, ...entry } });
+  }
+
+  // Version order, not name order: v10.x comes after v9.x even with custom names
+  const compareLines = (a, b) => a[GROUP].captures.major - b[GROUP].captures.major || a[GROUP].captures.minor - b[GROUP].captures.minor;
+  return categories.sort(spec.sort === 'asc' ? compareLines : (a, b) => compareLines(b, a));
+}
+
+// ============================================================================
+// Exclusive Categorization
+// ============================================================================
+
+/**
+ * Get the depth of the deepest category displaying each release in the subtree of a category
+ * (0 = the category itself)
+ * @param {Object} entry - Matched category (from matchNode in classifyReleases)
+ * @returns {Map} - Release id -> depth
+ */
+function getDisplayDepths(entry, depth = 0, depths = new Map()) {
+  for (const release of entry.matched) {
+    if (!(depths.get(release.id) >= depth)) {
+      depths.set(release.id, depth);
+    }
+  }
+  for (const child of entry.children) {
+    getDisplayDepths(child, depth + 1, depths);
+  }
+  return depths;
+}
+
+/**
+ * Keep each release in only one of sibling categories (with their subcategories)
+ * @param {Array} siblings - Matched sibling categories (from matchNode in classifyReleases)
+ * @param {string|false|null} mode - "first": the first category in configuration order,
+ *   "specific": the category with the deepest match in its subtree (then configuration order),
+ *   false/null: releases can be in several categories
+ * @param {Map} excluded - Releases already excluded from the parent category
+ * @returns {Array} - For each sibling, the releases excluded from it: release id -> { mode, winner }
+ *   (winner is the name path of the category the release went to)
+ */
+function excludeFromSiblings(siblings, mode, excluded) {
+  if (!mode) return siblings.map(() => excluded);
+
+  const depths = siblings.map(entry => getDisplayDepths(entry));
+  const winners = new Map();
+  depths.forEach((siblingDepths, index) => {
+    for (const [id, depth] of siblingDepths) {
+      const current = winners.get(id);
+      if (!current || (mode === 'specific' && depth > current.depth)) {
+        winners.set(id, { index, depth });
+      }
+    }
+  });
+
+  return siblings.map((entry, index) => {
+    const siblingExcluded = new Map(excluded);
+    for (const [id, winner] of winners) {
+      if (winner.index !== index && depths[index].has(id) && !excluded.has(id)) {
+        siblingExcluded.set(id, { mode, winner: siblings[winner.index].namePath });
+      }
+    }
+    return siblingExcluded;
+  });
+}
+
+// Category settings inherited by subcategories: configuration key -> name in the effective settings
+const INHERITED_SETTINGS = {
+  'latest-match': 'latestMatch',
+  'cutoff-date': 'cutoffDate',
+  'cutoff-anchor': 'cutoffAnchor',
+  'cutoff-min-releases': 'cutoffMinReleases',
+  'max-displayed': 'maxDisplayed',
+  'keep-last': 'keepLast',
+  'sort': 'sort',
+  'inherit-parent-matchers': 'inheritParentMatchers',
+  'exclusive': 'exclusive'
+};
+
 /**
  * Classify releases into categories with latest-match, cutoff-date, and max-displayed support
  *
@@ -123,23 +519,41 @@ function findLatestReleases(releases, latestMatch) {
  *   - latest-match: no releases have the "latest" badge
  *   - cutoff-date: no cutoff date filtering
  *   - max-displayed: no maximum (show all)
+ *   - exclusive: releases can be displayed in several subcategories
+ *   - keep-last: no retention rule
+ *   - cutoff-min-releases: no minimum, all the releases older than the cutoff date are hidden
+ *
+ * Relative cutoff dates ("-1y") are relative to the current date, or to the newest release of the
+ * category with cutoff-anchor "newest" (so that inactive categories still show their last releases).
+ *
+ * With exclusive categorization ("exclusive" setting, applying to the subcategories of a category,
+ * or to the top-level categories in the defaults) a release matched by several sibling categories is
+ * only displayed in one of them (and its subcategories). Match results are not affected (subcategories
+ * inheriting matchers still see them), and the releases are excluded before cutoff-date and latest-match.
  *
  * @param {Array} releases - Array of release objects
  * @param {Array} categories - Category configuration
  * @param {Object} defaults - Default values from config's "defaults" section
  * @param {Object} unmatchedConfig - Configuration for the unmatched category
+ * @param {Function|null} trace - Called with the match results and effective settings of each category
+ *   ({ node, namePath, ... }) and of the unmatched releases ({ unmatched: true, ... }), for --explain
  * @returns {Object} - { tree, unmatchedReleases, defaultMaxDisplayed, unmatchedMaxDisplayed }
  */
-function classifyReleases(releases, categories, defaults = {}, unmatchedConfig = {}) {
+function classifyReleases(releases, categories, defaults = {}, unmatchedConfig = {}, trace = null) {
   const matchedReleaseIds = new Set();
 
   // Configured defaults (from "defaults:" section in config)
   // These are used when a category explicitly sets null to reset to default
   const configuredDefaults = {
     latestMatch: defaults.latestMatch !== undefined ? defaults.latestMatch : 'newest',
-    cutoffDate: defaults.cutoffDate !== undefined ? parseCutoffDate(defaults.cutoffDate) : parseCutoffDate('-1y'),
+    cutoffDate: defaults.cutoffDate !== undefined ? defaults.cutoffDate : '-1y',
+    cutoffAnchor: defaults.cutoffAnchor !== undefined && defaults.cutoffAnchor !== null ? defaults.cutoffAnchor : 'now',
+    cutoffMinReleases: defaults.cutoffMinReleases !== undefined ? defaults.cutoffMinReleases : false,
     maxDisplayed: defaults.maxDisplayed !== undefined ? defaults.maxDisplayed : 100,
-    inheritParentMatchers: defaults.inheritParentMatchers !== undefined ? defaults.inheritParentMatchers : false
+    inheritParentMatchers: defaults.inheritParentMatchers !== undefined ? defaults.inheritParentMatchers : false,
+    exclusive: defaults.exclusive !== undefined ? defaults.exclusive : false,
+    sort: defaults.sort !== undefined && defaults.sort !== null ? defaults.sort : 'date',
+    keepLast: defaults.keepLast !== undefined ? defaults.keepLast : false
   };
 
   // Validate defaults.max-displayed
@@ -166,66 +580,34 @@ function classifyReleases(releases, categories, defaults = {}, unmatchedConfig =
     return nodeValue;
   }
 
-  function processNode(node, inheritedLatestMatch, inheritedCutoffDate, inheritedMaxDisplayed, inheritedInheritMode, parentReleaseMatches) {
-    // Resolve effective values using new inheritance semantics
-    const hasLatestMatch = Object.hasOwn(node, 'latest-match');
-    const hasCutoffDate = Object.hasOwn(node, 'cutoff-date');
-    const hasMaxDisplayed = Object.hasOwn(node, 'max-displayed');
-    const hasInheritParentMatchers = Object.hasOwn(node, 'inherit-parent-matchers');
-
+  /**
+   * First pass: evaluate the matchers of a category and its subcategories (configured and generated),
+   * resolving the effective settings
+   * @returns {Object} - { node, namePath, settings, showReleases, parentReleaseMatches, releaseMatches, matched, children }
+   */
+  function matchNode(node, inherited = {}, parentReleaseMatches = undefined, parentPath = []) {
     // Validate category max-displayed if explicitly set
-    if (hasMaxDisplayed) {
+    if (Object.hasOwn(node, 'max-displayed')) {
       validateMaxDisplayed(node['max-displayed'], `Category "${node.name}" max-displayed`);
     }
 
-    const effectiveLatestMatch = resolveValue(
-      node['latest-match'],
-      inheritedLatestMatch,
-      configuredDefaults.latestMatch,
-      hasLatestMatch
-    );
-
-    // For cutoff-date, we need to parse the node value if present
-    const nodeCutoffDate = hasCutoffDate ? parseCutoffDate(node['cutoff-date']) : undefined;
-    const effectiveCutoffDate = resolveValue(
-      nodeCutoffDate,
-      inheritedCutoffDate,
-      configuredDefaults.cutoffDate,
-      hasCutoffDate
-    );
-
-    // For max-displayed, false means unlimited (null equivalent for display purposes)
-    let effectiveMaxDisplayed = resolveValue(
-      node['max-displayed'],
-      inheritedMaxDisplayed,
-      configuredDefaults.maxDisplayed,
-      hasMaxDisplayed
-    );
+    // Resolve effective values using new inheritance semantics
+    const settings = {};
+    for (const [key, name] of Object.entries(INHERITED_SETTINGS)) {
+      settings[name] = resolveValue(node[key], inherited[name], configuredDefaults[name], Object.hasOwn(node, key));
+    }
+
     // Convert false to null for max-displayed (false = unlimited = no limit)
-    if (effectiveMaxDisplayed === false) {
-      effectiveMaxDisplayed = null;
+    if (settings.maxDisplayed === false) {
+      settings.maxDisplayed = null;
     }
 
-    // Resolve inherit-parent-matchers setting
-    const effectiveInheritMode = resolveValue(
-      node['inherit-parent-matchers'],
-      inheritedInheritMode,
-      configuredDefaults.inheritParentMatchers,
-      hasInheritParentMatchers
-    );
+    // Lifecycle status, inherited by subcategories along with the settings
+    settings.lifecycle = getLifecycle(node, inherited.lifecycle || null);
 
-    const result = {
-      name: node.name,
-      description: node.description || '',
-      tooltip: node.tooltip || '',
-      releases: [],
-      categories: [],
-      maxDisplayed: effectiveMaxDisplayed
-    };
-
-    // Find releases matching this category (clone each to avoid shared state)
     // Track match results for each release to pass to subcategories
     const releaseMatchResults = new Map();
+    const matched = [];
 
     // show-releases: false means evaluate matchers (for inheritance) but don't display releases
     const showReleases = node['show-releases'] !== false;
@@ -235,60 +617,119 @@ function classifyReleases(releases, categories, defaults = {}, unmatchedConfig =
       const parentMatch = parentReleaseMatches ? parentReleaseMatches.get(release.id) : undefined;
 
       // Evaluate this category's match, considering inheritance
-      const matches = matchesCategory(release, node, parentMatch, effectiveInheritMode);
+      const matches = matchesTreeCategory(release, node, parentMatch, settings.inheritParentMatchers);
       releaseMatchResults.set(release.id, matches);
 
       if (matches) {
         if (showReleases) {
-          result.releases.push({ ...release, isLatest: false });
+          matched.push(release);
         }
         matchedReleaseIds.add(release.id);
       }
     }
 
-    // Apply cutoff-date filter
-    result.releases = filterByCutoffDate(result.releases, effectiveCutoffDate);
+    // Subcategories from the configuration, then the ones generated by group-by and version-lines
+    const subCategories = [...(node.categories || [])];
+    const inherits = Boolean(settings.inheritParentMatchers) && parentReleaseMatches !== undefined;
+    if (node['group-by']) {
+      subCategories.push(...generateGroupCategories(node, releases, releaseMatchResults, inherits));
+    }
+    if (node['version-lines']) {
+      subCategories.push(...generateVersionCategories(node, releases, releaseMatchResults, inherits));
+    }
+
+    // Match subcategories (pass inherited values and this category's match results)
+    const namePath = [...parentPath, node.name];
+    const children = subCategories.map(subCategory => matchNode(subCategory, settings, releaseMatchResults, namePath));
+
+    return {
+      node,
+      namePath,
+      settings,
+      showReleases,
+      parentReleaseMatches,
+      releaseMatches: releaseMatchResults,
+      matched,
+      children
+    };
+  }
+
+  /**
+   * Second pass: build the displayed category (cutoff-date, sorting, latest-match) and its subcategories
+   * @param {Object} entry - Matched category (from matchNode, with releaseStatuses from getReleaseStatuses)
+   * @param {Map} excluded - Releases not displayed in this category because of exclusive categorization
+   *   (release id -> { mode, winner } where winner is the name path of the category the release went to)
+   */
+  function buildNode(entry, excluded) {
+    const { node, settings } = entry;
+    const result = {
+      name: node.name,
+      description: node.description || '',
+      tooltip: node.tooltip || '',
+      lifecycle: settings.lifecycle,
+      releases: [],
+      categories: [],
+      maxDisplayed: settings.maxDisplayed
+    };
 
-    // Sort releases by date (newest first)
-    result.releases.sort((a, b) =>
-      new Date(b.publishedAt) - new Date(a.publishedAt)
-    );
+    // Clone each release to avoid shared state
+    result.releases = entry.matched
+      .filter(release => !excluded.has(release.id))
+      .map(release => ({ ...release, isLatest: false }));
+
+    // Apply keep-last retention (pruned releases are not counted as hidden)
+    const pruned = findPrunedReleases(result.releases, settings.keepLast);
+    result.releases = result.releases.filter(release => !pruned.has(release.id));
+
+    // Apply cutoff-date filter (relative to now or to the newest release, keeping cutoff-min-releases releases)
+    const cutoffDate = resolveCutoffDate(settings.cutoffDate, settings.cutoffAnchor, result.releases);
+    result.releases = filterByCutoffDate(result.releases, cutoffDate, settings.cutoffMinReleases);
+
+    // Sort releases by date (newest first), latest-match works on this order
+    result.releases.sort(byDateDesc);
 
     // Apply latest-match logic
-    const latestIds = findLatestReleases(result.releases, effectiveLatestMatch);
+    const latestIds = findLatestReleases(result.releases, settings.latestMatch, entry.releaseStatuses);
 
-    // Mark latest releases and sort them to the top
+    // Mark latest releases
     for (const release of result.releases) {
       release.isLatest = latestIds.includes(release.id);
     }
 
-    // Sort: latest releases first (preserving date order within each group)
-    if (latestIds.length > 0) {
-      result.releases.sort((a, b) => {
-        if (a.isLatest && !b.isLatest) return -1;
-        if (!a.isLatest && b.isLatest) return 1;
-        return new Date(b.publishedAt) - new Date(a.publishedAt);
+    // Sort in the category's order (latest releases first with the date order)
+    sortReleases(result.releases, settings.sort);
+
+    if (trace) {
+      trace({
+        node,
+        namePath: entry.namePath,
+        parentReleaseMatches: entry.parentReleaseMatches,
+        releaseMatches: entry.releaseMatches,
+        inheritMode: settings.inheritParentMatchers,
+        cutoffDate,
+        cutoffAnchor: settings.cutoffAnchor,
+        cutoffMinReleases: settings.cutoffMinReleases,
+        maxDisplayed: settings.maxDisplayed,
+        showReleases: entry.showReleases,
+        group: node[GROUP] || null,
+        excluded,
+        pruned,
+        releases: result.releases
       });
     }
 
-    // Process subcategories (pass inherited values and this category's match results)
-    if (node.categories) {
-      for (const subCategory of node.categories) {
-        result.categories.push(processNode(
-          subCategory,
-          effectiveLatestMatch,
-          effectiveCutoffDate,
-          effectiveMaxDisplayed,
-          effectiveInheritMode,
-          releaseMatchResults
-        ));
-      }
-    }
+    const childExclusions = excludeFromSiblings(entry.children, settings.exclusive, excluded);
+    result.categories = entry.children.map((child, index) => buildNode(child, childExclusions[index]));
 
     return result;
   }
 
-  const tree = categories.map(c => processNode(c, undefined, undefined, undefined, undefined, undefined));
+  const topLevel = categories.map(c => matchNode(c));
+  const topLevelExclusions = excludeFromSiblings(topLevel, configuredDefaults.exclusive, new Map());
+  topLevel.forEach((entry, index) => {
+    entry.releaseStatuses = getReleaseStatuses(entry, topLevelExclusions[index]);
+  });
+  const tree = topLevel.map((entry, index) => buildNode(entry, topLevelExclusions[index]));
 
   // Filter out empty categories (no releases directly or in any subcategory)
   function filterEmptyCategories(cats) {
@@ -307,13 +748,23 @@ function classifyReleases(releases, categories, defaults = {}, unmatchedConfig =
     .filter(r => !matchedReleaseIds.has(r.id))
     .map(r => ({ ...r, isLatest: false }));
 
-  // Determine unmatched-specific settings (use unmatched config if provided, otherwise defaults)
-  const unmatchedCutoffDate = Object.hasOwn(unmatchedConfig, 'cutoff-date')
-    ? parseCutoffDate(unmatchedConfig['cutoff-date'])
+  // Determine unmatched-specific settings (use unmatched config if provided, otherwise defaults).
+  // Unlike in categories, null is used as is (no cutoff date, no limit, "newest"...) instead of the defaults
+  const unmatchedCutoffSpec = Object.hasOwn(unmatchedConfig, 'cutoff-date')
+    ? unmatchedConfig['cutoff-date']
     : configuredDefaults.cutoffDate;
+  const unmatchedCutoffAnchor = Object.hasOwn(unmatchedConfig, 'cutoff-anchor')
+    ? unmatchedConfig['cutoff-anchor']
+    : configuredDefaults.cutoffAnchor;
+  const unmatchedCutoffMinReleases = Object.hasOwn(unmatchedConfig, 'cutoff-min-releases')
+    ? unmatchedConfig['cutoff-min-releases']
+    : configuredDefaults.cutoffMinReleases;
   const unmatchedLatestMatch = Object.hasOwn(unmatchedConfig, 'latest-match')
     ? unmatchedConfig['latest-match']
     : configuredDefaults.latestMatch;
+  const unmatchedSort = Object.hasOwn(unmatchedConfig, 'sort')
+    ? unmatchedConfig['sort']
+    : configuredDefaults.sort;
   const unmatchedMaxDisplayedRaw = Object.hasOwn(unmatchedConfig, 'max-displayed')
     ? unmatchedConfig['max-displayed']
     : configuredDefaults.maxDisplayed;
@@ -323,35 +774,52 @@ function classifyReleases(releases, categories, defaults = {}, unmatchedConfig =
     validateMaxDisplayed(unmatchedConfig['max-displayed'], 'unmatched.max-displayed');
   }
 
-  // Apply cutoff-date to unmatched releases
-  unmatchedReleases = filterByCutoffDate(unmatchedReleases, unmatchedCutoffDate);
+  // Apply keep-last and cutoff-date to unmatched releases
+  const unmatchedKeepLast = Object.hasOwn(unmatchedConfig, 'keep-last')
+    ? unmatchedConfig['keep-last']
+    : configuredDefaults.keepLast;
+  const unmatchedPruned = findPrunedReleases(unmatchedReleases, unmatchedKeepLast);
+  unmatchedReleases = unmatchedReleases.filter(release => !unmatchedPruned.has(release.id));
+  const unmatchedCutoffDate = resolveCutoffDate(unmatchedCutoffSpec, unmatchedCutoffAnchor, unmatchedReleases);
+  unmatchedReleases = filterByCutoffDate(unmatchedReleases, unmatchedCutoffDate, unmatchedCutoffMinReleases);
 
-  unmatchedReleases.sort((a, b) =>
-    new Date(b.publishedAt) - new Date(a.publishedAt)
-  );
+  unmatchedReleases.sort(byDateDesc);
 
-  // Apply latest-match to unmatched releases
-  const unmatchedLatestIds = findLatestReleases(unmatchedReleases, unmatchedLatestMatch);
+  // Apply latest-match to unmatched releases (they have no lifecycle status: category-status sees them as active)
+  const unmatchedLatestIds = findLatestReleases(unmatchedReleases, unmatchedLatestMatch, null);
   for (const release of unmatchedReleases) {
     release.isLatest = unmatchedLatestIds.includes(release.id);
   }
 
-  // Sort unmatched: latest first
-  if (unmatchedLatestIds.length > 0) {
-    unmatchedReleases.sort((a, b) => {
-      if (a.isLatest && !b.isLatest) return -1;
-      if (!a.isLatest && b.isLatest) return 1;
-      return new Date(b.publishedAt) - new Date(a.publishedAt);
-    });
-  }
+  // Sort unmatched (latest first with the date order)
+  sortReleases(unmatchedReleases, unmatchedSort);
 
   // Convert false to null for maxDisplayed values (false = unlimited)
   const defaultMaxDisplayed = configuredDefaults.maxDisplayed === false ? null : configuredDefaults.maxDisplayed;
   const unmatchedMaxDisplayed = unmatchedMaxDisplayedRaw === false ? null : unmatchedMaxDisplayedRaw;
 
+  if (trace) {
+    trace({
+      unmatched: true,
+      matchedReleaseIds,
+      cutoffDate: unmatchedCutoffDate,
+      cutoffAnchor: unmatchedCutoffAnchor,
+      cutoffMinReleases: unmatchedCutoffMinReleases,
+      maxDisplayed: unmatchedMaxDisplayed,
+      pruned: unmatchedPruned,
+      releases: unmatchedReleases
+    });
+  }
+
   return { tree: filteredTree, unmatchedReleases, defaultMaxDisplayed, unmatchedMaxDisplayed };
 }
 
 module.exports = {
-  classifyReleases
+  classifyReleases,
+  excludeFromSiblings,
+  findPrunedReleases,
+  generateGroupCategories,
+  generateVersionCategories,
+  matchesTreeCategory,
+  sortReleases
 };
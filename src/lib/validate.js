@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, isUrl, readConfigFile } = require('./config');
+const { loadYamlWithLocations, validateConfig, formatConfigIssue } = require('./config-schema');
+const { normalizeSources } = require('./sources');
+const { loadReleasesFromFile } = require('./github-api');
+const { loadReleasesFromDir } = require('./releases-dir');
+const { passesGlobalFilters, resolveMatcherReferences } = require('./matcher');
+const { excludeFromSiblings, findPrunedReleases, generateGroupCategories, generateVersionCategories, matchesTreeCategory } = require('./tree-builder');
+
+// ============================================================================
+// Validation Mode (--validate)
+// ============================================================================
+
+/**
+ * Check the files referenced by the configuration (sources, main page, favicon) that can be checked
+ * without network access
+ * @returns {Array} - Array of issues
+ */
+function checkReferencedFiles(config, configDir, locations) {
+  const issues = [];
+  const remote = isUrl(CONFIG.configPath);
+  const at = issuePath => locations.get(issuePath) || {};
+
+  if (config.sources) {
+    try {
+      for (const [index, source] of normalizeSources(config.sources, configDir).entries()) {
+        const localPath = source.type === 'file' || source.type === 'dir' ? source.file : source.gitDir;
+        if (localPath && !fs.existsSync(localPath)) {
+          const issuePath = `sources[${index}]`;
+          issues.push({ severity: 'error', path: issuePath, ...at(issuePath), message: `not found: ${localPath}` });
+        }
+      }
+    } catch (err) {
+      // Source errors are prefixed with the path of the source, e.g. "sources[2].repo must be..."
+      const issuePath = (err.message.match(/^sources\[\d+\]/) || ['sources'])[0];
+      issues.push({ severity: 'error', path: issuePath, ...at(issuePath), message: err.message.replace(/^sources\[\d+\][:.]?\s*/, '') });
+    }
+  }
+
+  if (remote) return issues;
+
+  const mainPage = config.site && config.site['main-page'];
+  if (mainPage && mainPage.render && !mainPage.content) {
+    const contentFile = mainPage['content-file'] || 'MAIN.md';
+    const filePath = path.isAbsolute(contentFile) ? contentFile : path.join(configDir, contentFile);
+    if (!isUrl(contentFile) && !fs.existsSync(filePath)) {
+      const issuePath = 'site.main-page';
+      issues.push({ severity: 'warning', path: issuePath, ...at(issuePath), message: `main page file not found: ${filePath}` });
+    }
+  }
+
+  const favicon = config.site && config.site.favicon;
+  if (typeof favicon === 'string' && !isUrl(favicon)) {
+    const filePath = path.isAbsolute(favicon) ? favicon : path.join(configDir, favicon);
+    if (!fs.existsSync(filePath)) {
+      const issuePath = 'site.favicon';
+      issues.push({ severity: 'warning', path: issuePath, ...at(issuePath), message: `favicon not found: ${filePath}` });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check the structure of the loaded releases
+ * @returns {Array} - Array of issues (paths are "releases[N]")
+ */
+function checkReleases(releases) {
+  const issues = [];
+  const ids = new Map();
+
+  releases.forEach((release, index) => {
+    const issuePath = `releases[${index}]`;
+    if (!release || typeof release !== 'object') {
+      issues.push({ severity: 'error', path: issuePath, message: 'expected a release object' });
+      return;
+    }
+    for (const key of ['tag', 'name']) {
+      if (typeof release[key] !== 'string') {
+        issues.push({ severity: 'error', path: `${issuePath}.${key}`, message: `expected a string, got: ${release[key]}` });
+      }
+    }
+    if (!release.publishedAt || isNaN(new Date(release.publishedAt).getTime())) {
+      issues.push({ severity: 'error', path: `${issuePath}.publishedAt`, message: `expected a date, got: ${release.publishedAt}` });
+    }
+    if (release.id === undefined || release.id === null) {
+      issues.push({ severity: 'error', path: `${issuePath}.id`, message: 'missing release id' });
+    } else if (ids.has(release.id)) {
+      issues.push({ severity: 'error', path: `${issuePath}.id`, message: `duplicate release id ${release.id} (also in releases[${ids.get(release.id)}])` });
+    } else {
+      ids.set(release.id, index);
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Count the releases displayed by each category, with exclusive categorization and keep-last applied
+ * (cutoff-date and max-displayed are not applied, so that the counts reflect the category definitions only)
+ * @returns {Object} - { categories, unmatched, issues } where categories is a tree of
+ *   { name, matched, total, categories } (matched: releases of the category itself, total: of its subtree)
+ */
+function countCategoryMatches(releases, config, locations) {
+  const issues = [];
+  const matchedIds = new Set();
+  const defaults = config.defaults || {};
+  const defaultInheritMode = defaults['inherit-parent-matchers'] ?? false;
+  const defaultExclusive = defaults.exclusive ?? false;
+  const defaultKeepLast = defaults['keep-last'] ?? false;
+
+  // First pass: evaluate the matchers (as matchNode in classifyReleases), reporting the categories without matches
+  function countNode(node, issuePath, namePath, inherited, parentMatches, parentSubtreeIds) {
+    const inheritMode = Object.hasOwn(node, 'inherit-parent-matchers')
+      ? (node['inherit-parent-matchers'] ?? defaultInheritMode)
+      : inherited.inheritMode;
+    const exclusive = Object.hasOwn(node, 'exclusive') ? (node.exclusive ?? defaultExclusive) : inherited.exclusive;
+    const keepLast = Object.hasOwn(node, 'keep-last') ? (node['keep-last'] ?? defaultKeepLast) : inherited.keepLast;
+    const settings = { inheritMode, exclusive, keepLast };
+    const matches = new Map();
+    const subtreeIds = new Set();
+    const matched = [];
+
+    for (const release of releases) {
+      const result = matchesTreeCategory(release, node, parentMatches ? parentMatches.get(release.id) : undefined, inheritMode);
+      matches.set(release.id, result);
+      if (result) {
+        // Releases of show-releases: false categories are only displayed in their subcategories
+        if (node['show-releases'] !== false) matched.push(release);
+        matchedIds.add(release.id);
+        subtreeIds.add(release.id);
+      }
+    }
+
+    const children = (node.categories || []).map((sub, index) =>
+      countNode(sub, `${issuePath}.categories[${index}]`, [...namePath, sub.name], settings, matches, subtreeIds));
+
+    if (node['group-by']) {
+      const groupPath = `${issuePath}.group-by`;
+      try {
+        const generated = generateGroupCategories(node, releases, matches, Boolean(inheritMode) && parentMatches !== undefined);
+        children.push(...generated.map(sub =>
+          countNode(sub, groupPath, [...namePath, sub.name], settings, matches, subtreeIds)));
+      } catch (err) {
+        // Errors are prefixed with the category and setting, e.g. 'Category "A" group-by.group: ...'
+        const errorPath = `${groupPath}.group`;
+        const message = err.message.replace(/^Category ".*" group-by\.group:\s*/, '');
+        issues.push({ severity: 'error', path: errorPath, ...(locations.get(errorPath) || {}), category: namePath.join(' > '), message });
+      }
+    }
+    if (node['version-lines']) {
+      const generated = generateVersionCategories(node, releases, matches, Boolean(inheritMode) && parentMatches !== undefined);
+      children.push(...generated.map(sub =>
+        countNode(sub, `${issuePath}.version-lines`, [...namePath, sub.name], settings, matches, subtreeIds)));
+    }
+
+    if (subtreeIds.size === 0) {
+      issues.push({
+        severity: 'warning',
+        path: issuePath,
+        ...(locations.get(issuePath) || {}),
+        category: namePath.join(' > '),
+        message: 'no releases match this category (it will not be shown)'
+      });
+    }
+
+    for (const id of subtreeIds) {
+      parentSubtreeIds.add(id);
+    }
+    return { name: node.name, namePath, settings, matched, children };
+  }
+
+  // Second pass: count the displayed releases (as buildNode in classifyReleases)
+  function countEntry(entry, excluded) {
+    const notExcluded = entry.matched.filter(release => !excluded.has(release.id));
+    const pruned = findPrunedReleases(notExcluded, entry.settings.keepLast);
+    const displayed = notExcluded.filter(release => !pruned.has(release.id));
+    const childExclusions = excludeFromSiblings(entry.children, entry.settings.exclusive, excluded);
+    const categories = entry.children.map((child, index) => countEntry(child, childExclusions[index]));
+    const ids = new Set([...displayed.map(release => release.id), ...categories.flatMap(child => [...child.ids])]);
+    return { name: entry.name, matched: displayed.length, total: ids.size, categories, ids };
+  }
+
+  // The release ids are only needed for the totals of the parent categories
+  const withoutIds = ({ ids, categories, ...count }) => ({ ...count, categories: categories.map(withoutIds) });
+
+  const entries = (config.categories || []).map((node, index) =>
+    countNode(node, `categories[${index}]`, [node.name], { inheritMode: defaultInheritMode, exclusive: defaultExclusive, keepLast: defaultKeepLast }, undefined, new Set()));
+  const exclusions = excludeFromSiblings(entries, defaultExclusive, new Map());
+
+  return {
+    categories: entries.map((entry, index) => withoutIds(countEntry(entry, exclusions[index]))),
+    unmatched: releases.filter(r => !matchedIds.has(r.id)).length,
+    issues
+  };
+}
+
+/**
+ * Load and check the configuration file, and the releases file or directory if specified
+ * @returns {Object} - Validation report: { valid, config, releases, errors, warnings, issues, summary }
+ */
+async function runValidation() {
+  const report = {
+    valid: true,
+    config: CONFIG.configPath,
+    releases: CONFIG.releasesFile || CONFIG.releasesDir || null,
+    errors: 0,
+    warnings: 0,
+    issues: [],
+    summary: null
+  };
+  const addIssues = (file, issues) => {
+    report.issues.push(...issues.map(issue => ({ file, severity: 'error', ...issue })));
+  };
+
+  let config = null;
+  let locations = new Map();
+  try {
+    const { content, configDir } = await readConfigFile(CONFIG.configPath);
+    ({ data: config, locations } = loadYamlWithLocations(content));
+    addIssues(CONFIG.configPath, validateConfig(config, locations));
+    if (config && typeof config === 'object') {
+      addIssues(CONFIG.configPath, checkReferencedFiles(config, configDir, locations));
+    }
+  } catch (err) {
+    // YAML syntax errors have the (0-based) location of the problem
+    const location = err.mark ? { line: err.mark.line + 1, column: err.mark.column + 1 } : {};
+    addIssues(CONFIG.configPath, [{ ...location, message: err.reason || err.message }]);
+    config = null;
+  }
+
+  if (report.releases) {
+    let releases = null;
+    try {
+      releases = CONFIG.releasesFile
+        ? loadReleasesFromFile(CONFIG.releasesFile).releases
+        : loadReleasesFromDir(CONFIG.releasesDir).releases;
+    } catch (err) {
+      addIssues(report.releases, [{ message: err.message }]);
+    }
+
+    if (releases) {
+      const releaseIssues = checkReleases(releases);
+      addIssues(report.releases, releaseIssues);
+
+      // Matching only makes sense when both the configuration and the releases are valid
+      if (config && report.issues.every(i => i.severity !== 'error')) {
+        config = resolveMatcherReferences(config);
+        const included = releases.filter(r => passesGlobalFilters(r, config));
+        const { categories, unmatched, issues } = countCategoryMatches(included, config, locations);
+        addIssues(CONFIG.configPath, issues);
+        report.summary = {
+          releases: releases.length,
+          filtered: releases.length - included.length,
+          categories,
+          unmatched
+        };
+      }
+    }
+  }
+
+  report.errors = report.issues.filter(i => i.severity === 'error').length;
+  report.warnings = report.issues.length - report.errors;
+  report.valid = report.errors === 0;
+  return report;
+}
+
+/**
+ * Format a validation report as text lines for the console
+ */
+function formatValidationReport(report) {
+  const lines = [];
+  const fileName = file => (isUrl(file) ? file : path.basename(file));
+
+  for (const file of [report.config, report.releases].filter(Boolean)) {
+    const issues = report.issues.filter(i => i.file === file);
+    lines.push(`${file}: ${issues.length === 0 ? 'OK' : `${issues.length} problem(s)`}`);
+    for (const issue of issues) {
+      lines.push(`  ${issue.severity.padEnd(7)} ${formatConfigIssue(issue, fileName(file))}`);
+    }
+  }
+
+  if (report.summary) {
+    const { summary } = report;
+    lines.push('');
+    lines.push(`Releases: ${summary.releases}` + (summary.filtered > 0 ? ` (${summary.filtered} filtered out by include/exclude)` : ''));
+    const addCategories = (categories, indent) => {
+      for (const category of categories) {
+        const own = category.total !== category.matched ? ` (${category.matched} in the category itself)` : '';
+        lines.push(`${'  '.repeat(indent)}${category.name}: ${category.total} release(s)${own}`);
+        addCategories(category.categories, indent + 1);
+      }
+    };
+    addCategories(summary.categories, 1);
+    lines.push(`  (unmatched): ${summary.unmatched} release(s)`);
+  }
+
+  lines.push('');
+  lines.push(report.valid
+    ? `Validation passed with ${report.warnings} warning(s)`
+    : `Validation failed: ${report.errors} error(s), ${report.warnings} warning(s)`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  runValidation,
+  formatValidationReport
+};